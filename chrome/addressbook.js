@@ -0,0 +1,113 @@
+/**
+ * Local address book — user-assigned petnames for addresses.
+ *
+ * Shared by content.js (petnames take precedence over WNS/ENS names), and
+ * options.js (editing, CSV import/export). Stored in chrome.storage.local as
+ * { address_lowercase → label }: a label is a local judgement of trust, so it
+ * never leaves this device and is not part of settings exports or profiles.
+ */
+
+const ADDRESS_BOOK_KEY = 'addressBook';
+const PETNAME_MAX_LENGTH = 64;
+const ADDRESS_BOOK_CSV_HEADER = 'address,label';
+
+/** Read the address book ({ address → label }). */
+async function getAddressBook() {
+  const { [ADDRESS_BOOK_KEY]: book } = await chrome.storage.local.get({ [ADDRESS_BOOK_KEY]: {} });
+  return book;
+}
+
+/**
+ * Trim a label and strip control, bidi and zero-width characters (shared
+ * CSVs must not be able to spoof other labels). Returns '' when nothing is left.
+ */
+function cleanPetname(label) {
+  const cleaned = String(label).replace(UNSAFE_TEXT_RE, '').trim();
+  return cleaned.slice(0, PETNAME_MAX_LENGTH);
+}
+
+/** Label an address, or remove its entry when the label is empty. */
+async function setPetname(address, label) {
+  const book = await getAddressBook();
+  const key = address.toLowerCase();
+  const cleaned = cleanPetname(label);
+  if (cleaned) book[key] = cleaned;
+  else delete book[key];
+  await chrome.storage.local.set({ [ADDRESS_BOOK_KEY]: book });
+}
+
+/** Merge { address → label } entries into the book, replacing existing labels. */
+async function mergeAddressBook(entries) {
+  const book = await getAddressBook();
+  for (const [address, label] of Object.entries(entries)) book[address.toLowerCase()] = label;
+  await chrome.storage.local.set({ [ADDRESS_BOOK_KEY]: book });
+}
+
+// ─── CSV ─────────────────────────────────────────────────────────────────────
+
+/** Quote a CSV field; formula-like labels get a leading ' so spreadsheets show them as text. */
+function csvField(value) {
+  const safe = /^[=+\-@]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(safe) || safe !== value ? `"${safe.replaceAll('"', '""')}"` : safe;
+}
+
+/** Serialize the book as `address,label` CSV (checksummed when checksumAddress is loaded). */
+function addressBookToCsv(book) {
+  const format = typeof checksumAddress === 'function' ? checksumAddress : a => a;
+  const rows = Object.entries(book)
+    .sort(([, a], [, b]) => a.localeCompare(b))
+    .map(([address, label]) => `${format(address)},${csvField(label)}`);
+  return [ADDRESS_BOOK_CSV_HEADER, ...rows].join('\r\n') + '\r\n';
+}
+
+/** Split CSV text into rows of fields (RFC 4180 quoting). */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; } else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Parse `address,label` CSV (header row optional). Returns { entries } with
+ * { address → label }, or { error } naming the first bad line.
+ */
+function parseAddressBookCsv(text) {
+  const rows = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  const entries = {};
+  for (let i = 0; i < rows.length; i++) {
+    const [address = '', rawLabel = '', ...rest] = rows[i].map(f => f.trim());
+    if (!address && !rawLabel && !rest.length) continue; // blank line
+    if (i === 0 && address.toLowerCase() === 'address') continue; // header
+    if (!/^0x[0-9a-fA-F]{40}$/.test(address)) return { error: `Line ${i + 1}: "${address.slice(0, 50)}" is not an address` };
+    const label = cleanPetname(/^'[=+\-@]/.test(rawLabel) ? rawLabel.slice(1) : rawLabel);
+    if (!label) return { error: `Line ${i + 1}: missing label` };
+    entries[address.toLowerCase()] = label;
+  }
+  return { entries };
+}
@@ -4,10 +4,11 @@
  * Owns all network calls (avoids CORS issues from content scripts on
  * file:// origins). Listens for RESOLVE messages from content.js,
  * reads provider config from the active storage area, and returns a map
- * of address → name.
+ * of address → name. RESOLVE_NAME does the reverse trip (.wei name →
+ * address) for any extension page or script that needs it.
  */
 
-importScripts('config.js');
+importScripts('config.js', 'keccak.js', 'namecache.js', 'confusables.js', 'addressbook.js');
 
 const WNS_CONTRACT = '0x0000000000696760E15f265e828DB644A0c242EB';
 const MULTICALL3 = '0xcA11bde05977b3631167028862bE2a173976CA11';
@@ -15,9 +16,35 @@ const MULTICALL3 = '0xcA11bde05977b3631167028862bE2a173976CA11';
 // reverseResolve(address) — keccak256("reverseResolve(address)")[0..3]
 const REVERSE_RESOLVE_SELECTOR = '0x9af8b7aa';
 
+// resolve(uint256 tokenId) — keccak256("resolve(uint256)")[0..3]
+const RESOLVE_SELECTOR = '0x4f896d4f';
+
 // aggregate3((address target, bool allowFailure, bytes calldata)[]) — Multicall3
 const AGGREGATE3_SELECTOR = '0x82ad56cb';
 
+// ENS registry (the same address since the 2020 registry migration)
+const ENS_REGISTRY = '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e';
+
+// resolver(bytes32 node) — ENS registry
+const ENS_RESOLVER_SELECTOR = '0x0178b8bf';
+
+// name(bytes32 node) — ENS resolver (reverse records)
+const ENS_NAME_SELECTOR = '0x691f3431';
+
+// addr(bytes32 node) — ENS resolver (forward records)
+const ENS_ADDR_SELECTOR = '0x3b3b57de';
+
+// text(uint256 tokenId, string key) — keccak256("text(uint256,string)")[0..3]
+const TEXT_SELECTOR = '0x308e3386';
+
+/** Reverse-lookup providers, by the `nameProviders` setting, in priority order. */
+const NAME_PROVIDER_ORDERS = {
+  'wns': ['wns'],
+  'ens': ['ens'],
+  'wns,ens': ['wns', 'ens'],
+  'ens,wns': ['ens', 'wns'],
+};
+
 // Defaults are in config.js (imported via manifest)
 
 let loggingEnabled = false;
@@ -43,12 +70,31 @@ function encodeReverseResolve(address) {
   return REVERSE_RESOLVE_SELECTOR + pad32(addr);
 }
 
+/** Encode resolve(uint256) calldata for one already-normalized .wei name. */
+function encodeResolve(name) {
+  return RESOLVE_SELECTOR + namehash(name);
+}
+
 /**
- * ABI-encode an aggregate3 call for Multicall3.
+ * ABI-encode an aggregate3 call for Multicall3 from a list of
+ * { target, data } calls. Every call is sent with allowFailure = true.
  */
-function encodeMulticall(addresses) {
-  const n = addresses.length;
-  const ELEMENT_WORDS = 6;
+function encodeAggregate3(calls) {
+  const n = calls.length;
+
+  // Pre-compute each element's calldata words so offsets can be laid out
+  const elements = calls.map(({ target, data }) => {
+    const cd = data.replace('0x', '');
+    const len = cd.length / 2;
+    const padded = cd.padEnd(Math.ceil(cd.length / W) * W, '0');
+    return [
+      pad32(target.toLowerCase().replace('0x', '')), // address target
+      pad32('1'),                                    // bool allowFailure = true
+      pad32('60'),                                   // offset to bytes data within struct = 3 words
+      pad32(len.toString(16)),                       // bytes length
+      padded,                                        // calldata, right-padded to whole words
+    ].join('');
+  });
 
   const words = [];
 
@@ -58,26 +104,57 @@ function encodeMulticall(addresses) {
   words.push(pad32(n.toString(16)));
   // Offsets to each element, relative to the word after the length word.
   // The head itself contains N offset words (N*32 bytes) before element data begins.
-  for (let i = 0; i < n; i++) {
-    words.push(pad32((n * 32 + i * ELEMENT_WORDS * 32).toString(16)));
+  let offset = n * 32;
+  for (const el of elements) {
+    words.push(pad32(offset.toString(16)));
+    offset += el.length / 2;
   }
 
-  // Each element encoding
-  const wnsTarget = WNS_CONTRACT.toLowerCase().replace('0x', '');
-  for (const addr of addresses) {
-    const cd = encodeReverseResolve(addr).slice(2); // 72 hex chars = 36 bytes
-    words.push(pad32(wnsTarget));    // target = WNS contract (not the address being resolved)
-    words.push(pad32('1'));          // bool allowFailure = true
-    words.push(pad32('60'));         // offset to bytes data within struct = 3 words
-    words.push(pad32('24'));         // bytes length = 36 (0x24)
-    words.push(cd.slice(0, W));      // first 32 bytes of calldata
-    words.push(cd.slice(W).padEnd(W, '0')); // remaining 4 bytes, padded to 32
+  return AGGREGATE3_SELECTOR + words.join('') + elements.join('');
+}
+
+/** Encode text(uint256,string) calldata: one text record of an already-normalized .wei name. */
+function encodeText(name, key) {
+  const keyHex = bytesToHex(new TextEncoder().encode(key));
+  return TEXT_SELECTOR + namehash(name)
+    + pad32('40')                                      // offset to the string = 2 words
+    + pad32((keyHex.length / 2).toString(16))          // string length
+    + keyHex.padEnd(Math.ceil(keyHex.length / W) * W, '0');
+}
+
+/** ENS reverse node of an address: namehash("<hex>.addr.reverse"). */
+function reverseNode(address) {
+  return namehash(`${address.toLowerCase().replace('0x', '')}.addr.reverse`);
+}
+
+/**
+ * ABI-encode an aggregate3 call that reverse-resolves each address on the
+ * WNS contract (target is the WNS contract, not the address being resolved).
+ * With the ENS provider, a second block of calls asks the ENS registry for
+ * each address's reverse resolver in the same batch.
+ */
+function encodeMulticall(addresses, providers = ['wns']) {
+  const calls = [];
+  if (providers.includes('wns')) {
+    for (const addr of addresses) calls.push({ target: WNS_CONTRACT, data: encodeReverseResolve(addr) });
+  }
+  if (providers.includes('ens')) {
+    for (const addr of addresses) calls.push({ target: ENS_REGISTRY, data: ENS_RESOLVER_SELECTOR + reverseNode(addr) });
   }
+  return encodeAggregate3(calls);
+}
 
-  return AGGREGATE3_SELECTOR + words.join('');
+/** ABI-encode an aggregate3 call that forward-resolves each .wei name. */
+function encodeResolveMulticall(names) {
+  return encodeAggregate3(names.map(name => ({
+    target: WNS_CONTRACT,
+    data: encodeResolve(name),
+  })));
 }
 
 const MAX_NAME_LENGTH = 64;
+// Longer values are dropped rather than cut: a truncated URL is a wrong URL
+const MAX_TEXT_RECORD_LENGTH = 1024;
 const textDecoder = new TextDecoder('utf-8', { fatal: true });
 
 /** Convert a hex string to a Uint8Array. */
@@ -89,23 +166,63 @@ function hexToBytes(hex) {
   return bytes;
 }
 
+/** Convert bytes to a hex string (no 0x). */
+function bytesToHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
 /**
  * Sanitize a resolved name: strip control characters, bidi overrides,
  * zero-width characters, and truncate to MAX_NAME_LENGTH.
  */
 function sanitizeName(name) {
-  // Strip: C0/C1 control chars, bidi overrides, zero-width chars
-  // eslint-disable-next-line no-control-regex
-  const cleaned = name.replace(/[\u0000-\u001F\u007F-\u009F\u200B-\u200F\u202A-\u202E\u2060-\u2069\uFEFF]/g, '');
+  const cleaned = name.replace(UNSAFE_TEXT_RE, '');
   if (!cleaned) return null;
   return cleaned.length > MAX_NAME_LENGTH ? cleaned.slice(0, MAX_NAME_LENGTH) : cleaned;
 }
 
 /**
- * Decode the aggregate3 return value.
- * Returns array of name strings (or null for failed/empty results).
+ * Trim and lowercase a name, then require at least two non-empty
+ * dot-separated labels with no whitespace or control chars. Returns the
+ * normalized name or null.
  */
-function decodeAggregate3(hex) {
+function normalizeDottedName(name) {
+  if (typeof name !== 'string') return null;
+  const lower = name.trim().toLowerCase();
+  if (!lower.includes('.') || lower.length > MAX_NAME_LENGTH) return null;
+  // eslint-disable-next-line no-control-regex
+  if (/[\s\u0000-\u001F\u007F-\u009F]/.test(lower)) return null;
+  if (lower.split('.').some(label => !label)) return null;
+  return lower;
+}
+
+/**
+ * Normalize a user-supplied .wei name for lookup (see normalizeDottedName).
+ * Returns the normalized name or null if it is not a plausible .wei name.
+ */
+function normalizeName(name) {
+  const normalized = normalizeDottedName(name);
+  return normalized?.endsWith('.wei') ? normalized : null;
+}
+
+/**
+ * ENS-style namehash of a normalized name, as 64 hex chars. The WNS token ID
+ * of `label.wei` is this hash read as a uint256.
+ */
+function namehash(name) {
+  let node = '0'.repeat(W);
+  const labels = name.split('.');
+  for (let i = labels.length - 1; i >= 0; i--) {
+    node = keccak256(hexToBytes(node + keccak256(labels[i])));
+  }
+  return node;
+}
+
+/**
+ * Decode the aggregate3 return value into the raw returnData of each call.
+ * Returns an array of hex strings (no 0x), or null for failed/empty results.
+ */
+function decodeAggregate3Results(hex) {
   if (!hex || hex === '0x') return [];
   const data = hex.startsWith('0x') ? hex.slice(2) : hex;
 
@@ -117,7 +234,7 @@ function decodeAggregate3(hex) {
   const n = uint(W);
   if (!n) return [];
 
-  const names = [];
+  const results = [];
   const arrayBase = 2 * W; // after word0 (offset) + word1 (length)
 
   for (let i = 0; i < n; i++) {
@@ -125,200 +242,1681 @@ function decodeAggregate3(hex) {
     const base = arrayBase + offset;
 
     const success = uint(base) === 1;
-    if (!success) { names.push(null); continue; }
+    if (!success) { results.push(null); continue; }
 
     // offset to `bytes returnData` within this Result struct
     const bytesOffset = uint(base + W) * 2;
     const bytesBase = base + bytesOffset;
     const bytesLen = uint(bytesBase);
-    if (!bytesLen) { names.push(null); continue; }
-    // the raw returnData bytes (themselves abi.encode(string))
-    // abi.encode(string) = offset(0x20) | strLen | strBytes
-    const rdBase = bytesBase + W;
-    // word0 of returnData is the offset to the string (always 0x20, skip it)
-    const strLen = uint(rdBase + W);
-    if (!strLen) { names.push(null); continue; }
-
-    const strHex = data.slice(rdBase + 2 * W, rdBase + 2 * W + strLen * 2);
+    if (!bytesLen) { results.push(null); continue; }
+    results.push(data.slice(bytesBase + W, bytesBase + W + bytesLen * 2));
+  }
+
+  return results;
+}
+
+/**
+ * Decode one returnData blob that is itself abi.encode(string).
+ * Returns the raw string, or null if empty or not valid UTF-8.
+ */
+function decodeRawString(rd) {
+  if (!rd) return null;
+  // abi.encode(string) = offset(0x20) | strLen | strBytes
+  // word0 of returnData is the offset to the string (always 0x20, skip it)
+  const strLen = parseInt(rd.slice(W, 2 * W), 16);
+  if (!strLen) return null;
+
+  const strHex = rd.slice(2 * W, 2 * W + strLen * 2);
+  if (strHex.length !== strLen * 2) return null;
+  try {
+    return textDecoder.decode(hexToBytes(strHex));
+  } catch {
+    return null;
+  }
+}
+
+/** Decode an abi.encode(string) name. Returns the sanitized name or null. */
+function decodeStringResult(rd) {
+  const str = decodeRawString(rd);
+  return str === null ? null : sanitizeName(str);
+}
+
+/**
+ * Decode an abi.encode(string) text record. Control, bidi and zero-width
+ * characters are stripped; values over MAX_TEXT_RECORD_LENGTH give null.
+ */
+function decodeTextResult(rd) {
+  const str = decodeRawString(rd);
+  if (str === null) return null;
+  const cleaned = str.replace(UNSAFE_TEXT_RE, '').trim();
+  return cleaned && cleaned.length <= MAX_TEXT_RECORD_LENGTH ? cleaned : null;
+}
+
+/**
+ * Decode one returnData blob that is abi.encode(address).
+ * Returns a lowercase 0x address, or null for empty/zero results.
+ */
+function decodeAddressResult(rd) {
+  if (!rd || rd.length < W) return null;
+  const addr = rd.slice(W - 40, W).toLowerCase();
+  if (/^0+$/.test(addr)) return null;
+  return '0x' + addr;
+}
+
+/**
+ * Decode the aggregate3 return value of a reverseResolve batch.
+ * Returns array of name strings (or null for failed/empty results).
+ */
+function decodeAggregate3(hex) {
+  return decodeAggregate3Results(hex).map(decodeStringResult);
+}
+
+/**
+ * Decode the aggregate3 return value of a resolve(uint256) batch.
+ * Returns array of lowercase addresses (or null for failed/unset names).
+ */
+function decodeAggregate3Addresses(hex) {
+  return decodeAggregate3Results(hex).map(decodeAddressResult);
+}
+
+// ─── RPC endpoints & health ───────────────────────────────────────────────────
+
+/*
+ * Endpoints are tried in order: the primary rpcUrl (with rpcHeaders) first,
+ * then each entry of rpcFallbacks. An HTTP error, JSON-RPC error, malformed
+ * response or timeout fails over to the next endpoint. Endpoints that fail
+ * repeatedly are put on cooldown and skipped until it expires.
+ */
+
+const RPC_FAILURE_WINDOW_MS = 60 * 1000;
+const RPC_FAILURE_THRESHOLD = 3;
+const RPC_ENDPOINT_COOLDOWN_MS = 60 * 1000;
+const RPC_LATENCY_SMOOTHING = 0.3;
+const RPC_BACKOFF_BASE_MS = 500;
+const RPC_BACKOFF_MAX_MS = 8000;
+
+/**
+ * A failed RPC call, classified by `kind`:
+ *   rate-limit — HTTP 429, Cloudflare 1015, or a JSON-RPC "limit" error
+ *   server     — HTTP 5xx or a JSON-RPC internal/server error
+ *   revert     — the eth_call itself reverted
+ *   malformed  — non-JSON body, missing/non-hex result, or undecodable data
+ *   http       — any other non-2xx status (auth, bad request, …)
+ *   timeout / network — no usable response at all
+ */
+class RpcError extends Error {
+  constructor(kind, message, { status = null, retryAfterMs = 0 } = {}) {
+    super(`${kind}: ${message}`);
+    this.name = 'RpcError';
+    this.kind = kind;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  /** Whether waiting and trying again can plausibly succeed. */
+  get retryable() {
+    return ['rate-limit', 'server', 'timeout', 'network'].includes(this.kind);
+  }
+}
+
+/** Parse a Retry-After header (seconds or HTTP date) into milliseconds. */
+function parseRetryAfter(value) {
+  if (!value) return 0;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+/** Classify a non-2xx HTTP response. */
+async function classifyHttpError(res) {
+  const status = res.status;
+  const retryAfterMs = parseRetryAfter(res.headers?.get?.('Retry-After'));
+  let body = '';
+  try { body = (await res.text()).slice(0, 500); } catch { /* ignore */ }
+
+  // Cloudflare serves its 1015 rate-limit page with a 403 or 429
+  if (status === 429 || /error code:?\s*1015/i.test(body)) {
+    return new RpcError('rate-limit', `HTTP ${status}`, { status, retryAfterMs });
+  }
+  if (status >= 500) return new RpcError('server', `HTTP ${status}`, { status, retryAfterMs });
+  return new RpcError('http', `HTTP ${status}`, { status });
+}
+
+/** Classify a JSON-RPC error object ({ code, message }). */
+function classifyJsonRpcError(error) {
+  const code = error?.code;
+  const message = String(error?.message ?? 'unknown error');
+  const detail = `JSON-RPC ${code}: ${message}`;
+  if (code === 3 || /revert/i.test(message)) return new RpcError('revert', detail);
+  if (code === -32005 || code === 429 || /rate|limit|too many|exceeded/i.test(message)) {
+    return new RpcError('rate-limit', detail);
+  }
+  return new RpcError('server', detail);
+}
+
+/** url → { url, latencyMs, lastLatencyMs, successes, failures: [t], lastError, lastErrorAt, cooldownUntil } */
+const rpcHealth = new Map();
+let rpcHealthTimer = null;
+const rpcHealthReady = chrome.storage.session.get({ rpcHealth: {} }).then(({ rpcHealth: saved }) => {
+  for (const [url, h] of Object.entries(saved)) {
+    if (!rpcHealth.has(url)) rpcHealth.set(url, h);
+  }
+});
+
+/** Parse the rpcHeaders config string into a plain header object. */
+function parseRpcHeaders(raw) {
+  const customHeaders = {};
+  if (raw) {
     try {
-      const raw = textDecoder.decode(hexToBytes(strHex));
-      names.push(sanitizeName(raw));
-    } catch {
-      names.push(null);
+      const arr = JSON.parse(raw);
+      for (const { key, value } of arr) {
+        if (key) customHeaders[key] = value;
+      }
+    } catch { /* ignore bad data */ }
+  }
+  return customHeaders;
+}
+
+/** Ordered list of { url, headers } endpoints from config. */
+function getRpcEndpoints(stored) {
+  const endpoints = [{
+    url: stored.rpcUrl || WNS_DEFAULTS.rpcUrl,
+    headers: parseRpcHeaders(stored.rpcHeaders),
+  }];
+  for (const fb of Array.isArray(stored.rpcFallbacks) ? stored.rpcFallbacks : []) {
+    if (!fb || typeof fb.url !== 'string' || !fb.url) continue;
+    if (endpoints.some(e => e.url === fb.url)) continue;
+    const headers = {};
+    for (const [key, value] of Object.entries(fb.headers || {})) {
+      if (key && typeof value === 'string') headers[key] = value;
     }
+    endpoints.push({ url: fb.url, headers });
   }
+  return endpoints;
+}
 
-  return names;
+function getHealth(url) {
+  if (!rpcHealth.has(url)) {
+    rpcHealth.set(url, {
+      url, latencyMs: null, lastLatencyMs: null, successes: 0,
+      failures: [], lastError: null, lastErrorKind: null, lastErrorAt: null, cooldownUntil: 0,
+    });
+  }
+  return rpcHealth.get(url);
+}
+
+/** Persist health to session storage for the options page, coalescing bursts. */
+function saveRpcHealth() {
+  if (rpcHealthTimer) return;
+  rpcHealthTimer = setTimeout(() => {
+    rpcHealthTimer = null;
+    chrome.storage.session.set({ rpcHealth: Object.fromEntries(rpcHealth) });
+  }, 250);
+}
+
+function recordRpcSuccess(url, latencyMs) {
+  const h = getHealth(url);
+  h.lastLatencyMs = latencyMs;
+  h.latencyMs = h.latencyMs === null
+    ? latencyMs
+    : Math.round(h.latencyMs + RPC_LATENCY_SMOOTHING * (latencyMs - h.latencyMs));
+  h.successes++;
+  h.cooldownUntil = 0;
+  saveRpcHealth();
+}
+
+function recordRpcFailure(url, err) {
+  const h = getHealth(url);
+  const now = Date.now();
+  h.failures = h.failures.filter(t => now - t < RPC_FAILURE_WINDOW_MS);
+  h.failures.push(now);
+  h.lastError = err.message;
+  h.lastErrorKind = err.kind ?? null;
+  h.lastErrorAt = now;
+  // An explicit Retry-After is the provider telling us exactly how long to stay away
+  if (err.retryAfterMs) h.cooldownUntil = Math.max(h.cooldownUntil, now + err.retryAfterMs);
+  if (h.failures.length >= RPC_FAILURE_THRESHOLD) {
+    h.cooldownUntil = Math.max(h.cooldownUntil, now + RPC_ENDPOINT_COOLDOWN_MS);
+    log('endpoint on cooldown:', url, 'until', new Date(h.cooldownUntil).toISOString());
+  }
+  saveRpcHealth();
+}
+
+/** Endpoints to try, in order — cooled-down ones go last rather than being dropped. */
+function orderEndpoints(endpoints) {
+  const now = Date.now();
+  const ready = endpoints.filter(e => getHealth(e.url).cooldownUntil <= now);
+  const cooling = endpoints.filter(e => getHealth(e.url).cooldownUntil > now);
+  return [...ready, ...cooling];
+}
+
+/**
+ * Send one eth_call to one endpoint, with a timeout.
+ * Returns the raw hex result; throws a classified RpcError on any failure.
+ */
+async function callEndpoint(endpoint, calldata, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    let res;
+    try {
+      res = await fetch(endpoint.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...endpoint.headers },
+        body: JSON.stringify({
+          jsonrpc: '2.0',
+          id: 1,
+          method: 'eth_call',
+          params: [{ to: MULTICALL3, data: calldata }, 'latest'],
+        }),
+        signal: controller.signal,
+      });
+    } catch (err) {
+      if (err.name === 'AbortError') throw new RpcError('timeout', `timed out after ${timeoutMs} ms`);
+      throw new RpcError('network', err.message);
+    }
+    if (!res.ok) throw await classifyHttpError(res);
+
+    let json;
+    try { json = await res.json(); } catch {
+      throw new RpcError('malformed', 'response is not JSON');
+    }
+    log('rpc response:', JSON.stringify(json).slice(0, 300));
+    if (json.error) throw classifyJsonRpcError(json.error);
+    if (typeof json.result !== 'string' || !/^0x[0-9a-fA-F]*$/.test(json.result)) {
+      throw new RpcError('malformed', 'missing or non-hex result');
+    }
+    return json.result;
+  } catch (err) {
+    // Body reads can also be interrupted by the timeout
+    if (err.name === 'AbortError') throw new RpcError('timeout', `timed out after ${timeoutMs} ms`);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Token bucket shared by every eth_call: holds up to rpcBurst tokens and
+// refills one every rpcCooldownMs, so short bursts go out immediately while
+// the long-run rate stays at one call per cooldown interval.
+let rpcTokens = null;
+let rpcTokensAt = 0;
+
+/** Wait for an RPC token. A cooldown of 0 disables rate limiting. */
+async function acquireRpcToken() {
+  const stored = await getConfig();
+  const interval = stored.rpcCooldownMs ?? WNS_DEFAULTS.rpcCooldownMs;
+  const burst = Math.max(1, stored.rpcBurst ?? WNS_DEFAULTS.rpcBurst);
+  if (!interval) return;
+
+  for (;;) {
+    const now = Date.now();
+    rpcTokens = rpcTokens === null ? burst : Math.min(burst, rpcTokens + (now - rpcTokensAt) / interval);
+    rpcTokensAt = now;
+    if (rpcTokens >= 1) {
+      rpcTokens -= 1;
+      return;
+    }
+    await new Promise(r => setTimeout(r, Math.ceil((1 - rpcTokens) * interval)));
+  }
+}
+
+/** Sleep for a full-jitter exponential backoff delay (or Retry-After, if longer). */
+function backoff(attempt, err) {
+  const ceiling = Math.min(RPC_BACKOFF_MAX_MS, RPC_BACKOFF_BASE_MS * 2 ** attempt);
+  const delay = Math.max(Math.random() * ceiling, err.retryAfterMs || 0);
+  log('backing off', Math.round(delay), 'ms after', err.kind);
+  return new Promise(r => setTimeout(r, Math.min(delay, RPC_BACKOFF_MAX_MS)));
+}
+
+/**
+ * Send one Multicall3 eth_call, failing over across endpoints in order.
+ * When every endpoint fails with a retryable error (rate limit, server error,
+ * timeout, network), the whole round is retried with exponential backoff.
+ * Returns the raw hex result; throws the last RpcError if all attempts fail.
+ */
+async function callMulticall(calldata, endpoints) {
+  await rpcHealthReady;
+  const { rpcTimeoutMs, rpcMaxRetries } = await getConfig();
+  const timeoutMs = rpcTimeoutMs || WNS_DEFAULTS.rpcTimeoutMs;
+  const maxRetries = rpcMaxRetries ?? WNS_DEFAULTS.rpcMaxRetries;
+  let lastErr = new RpcError('network', 'no RPC endpoints configured');
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    if (attempt) await backoff(attempt - 1, lastErr);
+    await acquireRpcToken();
+
+    for (const endpoint of orderEndpoints(endpoints)) {
+      log('eth_call to', endpoint.url, 'calldata length', calldata.length);
+      const started = Date.now();
+      try {
+        const result = await callEndpoint(endpoint, calldata, timeoutMs);
+        recordRpcSuccess(endpoint.url, Date.now() - started);
+        return result;
+      } catch (err) {
+        log('rpc failure:', endpoint.url, err.kind, err.message);
+        recordRpcFailure(endpoint.url, err);
+        lastErr = err;
+      }
+    }
+
+    if (!lastErr.retryable) break;
+  }
+  throw lastErr;
+}
+
+// ─── Degraded-state badge ─────────────────────────────────────────────────────
+
+// Unknown after a service worker restart, so the first success clears any
+// badge left over from before.
+let degraded = true;
+
+/** Show a red badge while resolution is failing, with the reason in the tooltip. */
+function setDegraded(err) {
+  degraded = true;
+  chrome.action.setBadgeBackgroundColor({ color: '#c00' });
+  chrome.action.setBadgeText({ text: '!' });
+  chrome.action.setTitle({ title: `WNS Resolver — resolution degraded (${err.message})` });
+}
+
+function clearDegraded() {
+  if (!degraded) return;
+  degraded = false;
+  chrome.action.setBadgeText({ text: '' });
+  // An empty title does not bring the default back; set it explicitly
+  const manifest = chrome.runtime.getManifest();
+  chrome.action.setTitle({ title: manifest.action?.default_title || manifest.name });
 }
 
 // ─── Providers ───────────────────────────────────────────────────────────────
 
 /**
- * Resolve addresses via a single Multicall3 eth_call to a JSON-RPC endpoint.
- * Returns Map<address_lowercase, name>.
+ * Reverse-resolve addresses with the given providers, in priority order.
+ *
+ * One Multicall3 eth_call (with endpoint failover) carries the WNS
+ * reverseResolve calls and, for ENS, the registry's resolver(node) calls.
+ * A second call then reads name(node) from the ENS resolvers — only for
+ * addresses that still need an ENS name. The first provider with a name
+ * wins. ENS names are always forward-verified: an ENS reverse record is an
+ * unchecked claim, so one that does not resolve back to its address gives
+ * way to the address's WNS name, if any, or is dropped. When `verify` is
+ * set, WNS names are forward-verified too, and `textKeys` names WNS text
+ * records to read for each WNS name. Every name
+ * is checked for lookalike characters (`c`, see confusables.js).
+ * Returns Map<address_lowercase, { n: name, p: provider, c: confusable, v?: verified, r?: records }>.
  */
-async function resolveViaRPC(addresses, rpcUrl, customHeaders = {}) {
+async function resolveViaRPC(addresses, endpoints, verify = false, providers = ['wns'], textKeys = []) {
   const results = new Map();
-  const calldata = encodeMulticall(addresses);
-
-  log('eth_call to', rpcUrl, 'calldata length', calldata.length);
-  const res = await fetch(rpcUrl, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json', ...customHeaders },
-    body: JSON.stringify({
-      jsonrpc: '2.0',
-      id: 1,
-      method: 'eth_call',
-      params: [{ to: MULTICALL3, data: calldata }, 'latest'],
-    }),
-  });
+  const result = await callMulticall(encodeMulticall(addresses, providers), endpoints);
 
-  const json = await res.json();
-  log('rpc response:', JSON.stringify(json).slice(0, 300));
-  if (!json.result) return results;
+  const decoded = decodeAggregate3Results(result);
+  const expected = addresses.length * providers.length;
+  if (decoded.length !== expected) {
+    throw new RpcError('malformed', `expected ${expected} results, decoded ${decoded.length}`);
+  }
+
+  // Results come back in encodeMulticall's block order: WNS, then ENS
+  let block = 0;
+  const found = {};
+  if (providers.includes('wns')) {
+    found.wns = decoded.slice(0, addresses.length).map(decodeStringResult);
+    block++;
+  }
+  if (providers.includes('ens')) {
+    const resolvers = decoded.slice(block * addresses.length, (block + 1) * addresses.length).map(decodeAddressResult);
+    // With WNS first, addresses that already have a WNS name need no ENS lookup
+    const skip = i => providers[0] === 'wns' && found.wns[i];
+    found.ens = await resolveEnsReverseNames(addresses, resolvers.map((r, i) => (skip(i) ? null : r)), endpoints);
+  }
+  log('decoded names:', found);
 
-  const names = decodeAggregate3(json.result);
-  log('decoded names:', names);
   for (let i = 0; i < addresses.length; i++) {
-    if (names[i]) results.set(addresses[i].toLowerCase(), names[i]);
+    const provider = providers.find(p => found[p][i]);
+    if (!provider) continue;
+    const name = found[provider][i];
+    results.set(addresses[i].toLowerCase(), { n: name, p: provider, c: checkConfusable(name) });
+  }
+
+  const ensEntries = new Map([...results].filter(([, entry]) => entry.p === 'ens'));
+  if (ensEntries.size) {
+    await verifyReverseRecords(ensEntries, endpoints);
+    addresses.forEach((address, i) => {
+      const key = address.toLowerCase();
+      if (ensEntries.get(key)?.v !== false) return;
+      log('ENS name does not resolve back, dropped:', ensEntries.get(key).n, key);
+      results.delete(key);
+      const wnsName = found.wns?.[i];
+      if (wnsName) results.set(key, { n: wnsName, p: 'wns', c: checkConfusable(wnsName) });
+    });
+  }
+  const wnsEntries = new Map([...results].filter(([, entry]) => entry.p === 'wns'));
+  if (verify && wnsEntries.size) await verifyReverseRecords(wnsEntries, endpoints);
+  if (textKeys.length && results.size) await resolveTextRecords(results, textKeys, endpoints);
+  return results;
+}
+
+/**
+ * Read ENS reverse names: name(node) on each address's reverse resolver,
+ * in one aggregate3 call. `resolvers[i]` is null to skip address i.
+ * Returns an array of names (or null) aligned with `addresses`.
+ */
+async function resolveEnsReverseNames(addresses, resolvers, endpoints) {
+  const names = addresses.map(() => null);
+  const pending = addresses.map((addr, i) => i).filter(i => resolvers[i]);
+  if (!pending.length) return names;
+
+  const result = await callMulticall(encodeAggregate3(pending.map(i => ({
+    target: resolvers[i],
+    data: ENS_NAME_SELECTOR + reverseNode(addresses[i]),
+  }))), endpoints);
+  const decoded = decodeAggregate3(result);
+  if (decoded.length !== pending.length) {
+    throw new RpcError('malformed', `expected ${pending.length} results, decoded ${decoded.length}`);
+  }
+  pending.forEach((i, j) => { names[i] = decoded[j]; });
+  return names;
+}
+
+/**
+ * Forward-resolve normalized .wei names via a single Multicall3 eth_call.
+ * Returns Map<name, { a: address_lowercase }>.
+ */
+async function resolveNamesViaRPC(names, endpoints) {
+  const results = new Map();
+  const result = await callMulticall(encodeResolveMulticall(names), endpoints);
+
+  const addresses = decodeAggregate3Addresses(result);
+  log('decoded addresses:', addresses);
+  if (addresses.length !== names.length) {
+    throw new RpcError('malformed', `expected ${names.length} results, decoded ${addresses.length}`);
+  }
+  for (let i = 0; i < names.length; i++) {
+    if (addresses[i]) results.set(names[i], { a: addresses[i] });
+  }
+
+  return results;
+}
+
+/**
+ * Forward-resolve normalized ENS names: registry resolver(node), then
+ * addr(node) on each resolver — two aggregate3 calls.
+ * Returns Map<name, { a: address_lowercase }>.
+ */
+async function resolveEnsNamesViaRPC(names, endpoints) {
+  const results = new Map();
+  const nodes = names.map(namehash);
+  const resolvers = decodeAggregate3Addresses(await callMulticall(encodeAggregate3(nodes.map(node => ({
+    target: ENS_REGISTRY,
+    data: ENS_RESOLVER_SELECTOR + node,
+  }))), endpoints));
+  if (resolvers.length !== names.length) {
+    throw new RpcError('malformed', `expected ${names.length} results, decoded ${resolvers.length}`);
   }
 
+  const pending = names.map((name, i) => i).filter(i => resolvers[i]);
+  if (!pending.length) return results;
+  const addresses = decodeAggregate3Addresses(await callMulticall(encodeAggregate3(pending.map(i => ({
+    target: resolvers[i],
+    data: ENS_ADDR_SELECTOR + nodes[i],
+  }))), endpoints));
+  if (addresses.length !== pending.length) {
+    throw new RpcError('malformed', `expected ${pending.length} results, decoded ${addresses.length}`);
+  }
+  pending.forEach((i, j) => {
+    if (addresses[j]) results.set(names[i], { a: addresses[j] });
+  });
   return results;
 }
 
+/**
+ * Forward-verify reverse records in the same resolution round: every name
+ * returned by a reverse lookup is resolved back to an address on the naming
+ * system it came from (one follow-up aggregate3 call for WNS, two for ENS).
+ * Sets `v` on each entry — true only when the name's forward record points
+ * at the address it was reverse-resolved from. Anyone can set a reverse
+ * record to any name, so an unverified name is a claim, not a fact.
+ */
+async function verifyReverseRecords(entries, endpoints) {
+  const byProvider = {
+    wns: { normalize: normalizeName, resolve: resolveNamesViaRPC, byName: new Map() },
+    // Not full ENSIP-15 normalization; a name that needs more simply fails the check
+    ens: { normalize: normalizeDottedName, resolve: resolveEnsNamesViaRPC, byName: new Map() },
+  };
+  for (const [addr, entry] of entries) {
+    entry.v = false;
+    const { normalize, byName } = byProvider[entry.p || 'wns'];
+    const name = normalize(entry.n);
+    if (!name) continue;
+    if (!byName.has(name)) byName.set(name, []); // normalized name → [address, …]
+    byName.get(name).push(addr);
+  }
+
+  for (const { resolve, byName } of Object.values(byProvider)) {
+    if (!byName.size) continue;
+    const forward = await resolve([...byName.keys()], endpoints);
+    for (const [name, addrs] of byName) {
+      const target = forward.get(name)?.a;
+      for (const addr of addrs) entries.get(addr).v = target === addr;
+    }
+  }
+  log('verified:', [...entries].map(([addr, e]) => `${addr}=${e.v}`));
+}
+
+/**
+ * Read WNS text records (avatar, url, …) for the WNS names among `entries`
+ * in one follow-up aggregate3 call, and set `r` = { key: value } on each
+ * entry that has any. Text records are decoration: a failed call is logged
+ * and leaves the names without them rather than failing the chunk.
+ */
+async function resolveTextRecords(entries, keys, endpoints) {
+  const targets = [];
+  for (const [addr, entry] of entries) {
+    const name = (entry.p || 'wns') === 'wns' && normalizeName(entry.n);
+    if (name) targets.push({ addr, name });
+  }
+  if (!targets.length) return;
+
+  const calls = targets.flatMap(({ name }) => keys.map(key => ({ target: WNS_CONTRACT, data: encodeText(name, key) })));
+  let decoded;
+  try {
+    decoded = decodeAggregate3Results(await callMulticall(encodeAggregate3(calls), endpoints)).map(decodeTextResult);
+  } catch (err) {
+    log('text records failed:', err.message);
+    return;
+  }
+  if (decoded.length !== calls.length) {
+    log('text records: expected', calls.length, 'results, decoded', decoded.length);
+    return;
+  }
+  targets.forEach(({ addr }, i) => {
+    const records = {};
+    keys.forEach((key, j) => {
+      const value = decoded[i * keys.length + j];
+      if (value) records[key] = value;
+    });
+    if (Object.keys(records).length) entries.get(addr).r = records;
+  });
+}
+
+/** Text record keys to read, or none when text records are off (avatar always comes first). */
+function textRecordKeys(stored) {
+  if (!stored.textRecords) return [];
+  return [...new Set(['avatar', ...(stored.textRecordKeys || [])])];
+}
+
 // ─── Cache helpers ────────────────────────────────────────────────────────────
 
-/** Build the storage.local key for a cached address. */
+/** Build the name cache key for a cached address. */
 function cacheKey(address) {
   return `wns_${address.toLowerCase()}`;
 }
 
+/** Build the name cache key for a cached forward (name → address) lookup. */
+function nameCacheKey(name) {
+  return `wnsn_${name}`;
+}
+
+/** Prefixes of the chrome.storage.local keys used by the pre-IndexedDB cache. */
+const LEGACY_CACHE_PREFIXES = ['wns_', 'wnsn_'];
+
+/** Positive and negative TTLs from config, in milliseconds. */
+function cacheTtls(stored) {
+  return {
+    positive: (stored.cacheTtlMinutes ?? WNS_DEFAULTS.cacheTtlMinutes) * 60 * 1000,
+    negative: (stored.cacheNegativeTtlMinutes ?? WNS_DEFAULTS.cacheNegativeTtlMinutes) * 60 * 1000,
+  };
+}
+
+// Drop the old flat chrome.storage.local cache once, after an update
+chrome.runtime.onInstalled.addListener(async () => {
+  const items = await chrome.storage.local.get(null);
+  const legacyKeys = Object.keys(items).filter(k => LEGACY_CACHE_PREFIXES.some(p => k.startsWith(p)));
+  if (legacyKeys.length) await chrome.storage.local.remove(legacyKeys);
+});
+
+// ─── Request scheduler ────────────────────────────────────────────────────────
+
+/*
+ * Cache misses from every tab and sender go through one scheduler per lookup
+ * direction. It deduplicates in-flight inputs (two tabs asking for the same
+ * address share one lookup), collects requests for batchWindowMs so they fill
+ * whole maxBatchSize chunks, and hands each chunk to the RPC layer, where a
+ * token bucket paces the actual eth_calls.
+ */
+
 /**
- * Main resolver — checks cache first, then fires an RPC batch only for misses.
+ * Create a coalescing scheduler. `fetchChunk(chunk, endpoints, stored)`
+ * resolves a chunk over RPC into cache-shaped entries; `keyOf` and `field`
+ * describe the cache namespace the results are written to.
+ *
+ * request(inputs, stats) resolves to one Promise.allSettled-style result per
+ * input: a fulfilled entry (tagged t / src: 'rpc'), fulfilled null for a
+ * negative result, or rejected with the RpcError of a failed chunk.
  */
-async function resolveAddresses(addresses) {
-  const stored = await getConfig();
-  const rpcUrl = stored.rpcUrl || WNS_DEFAULTS.rpcUrl;
-  const cacheEnabled = stored.cacheEnabled !== false;
-  const cacheTtlMs = (stored.cacheTtlMinutes ?? WNS_DEFAULTS.cacheTtlMinutes) * 60 * 1000;
+function createScheduler({ keyOf, field, fetchChunk }) {
+  const inflight = new Map(); // input → { promise, resolve, reject, stats: Set }
+  let queue = [];             // inputs waiting for the next flush
+  let timer = null;
+
+  async function runChunk(chunk, stored) {
+    const sinks = new Set();
+    for (const input of chunk) {
+      for (const stats of inflight.get(input).stats) sinks.add(stats);
+    }
+    for (const stats of sinks) stats.rpcCalls++;
 
-  let customHeaders = {};
-  if (stored.rpcHeaders) {
     try {
-      const arr = JSON.parse(stored.rpcHeaders);
-      for (const { key, value } of arr) {
-        if (key) customHeaders[key] = value;
+      const fresh = await fetchChunk(chunk, getRpcEndpoints(stored), stored);
+      clearDegraded();
+      const now = Date.now();
+
+      if (stored.cacheEnabled !== false) {
+        const ttls = cacheTtls(stored);
+        const toStore = chunk.map((input) => {
+          const value = { [field]: null, ...fresh.get(input), t: now };
+          return { key: keyOf(input), value, ttlMs: value[field] ? ttls.positive : ttls.negative };
+        });
+        await cachePutMany(toStore, stored.cacheMaxEntries ?? WNS_DEFAULTS.cacheMaxEntries)
+          .catch(err => log('cache write failed:', err.message));
       }
-    } catch { /* ignore bad data */ }
+
+      for (const input of chunk) {
+        const entry = fresh.get(input);
+        inflight.get(input).resolve(entry ? { ...entry, t: now, src: 'rpc' } : null);
+      }
+    } catch (err) {
+      // A failed chunk is unknown, not "no name" — never negative-cache it
+      log('chunk failed:', err.message);
+      setDegraded(err);
+      for (const input of chunk) inflight.get(input).reject(err);
+    } finally {
+      for (const input of chunk) inflight.delete(input);
+    }
+  }
+
+  /**
+   * Send queued inputs; with `onlyFull`, leave a partial last chunk queued.
+   * Never throws: on an unexpected error every input it took (or, if it
+   * failed before taking any, the whole queue) is rejected, so no caller
+   * waits forever.
+   */
+  async function flush(onlyFull) {
+    let batch = [];
+    try {
+      const stored = await getConfig();
+      const maxBatch = stored.maxBatchSize ?? WNS_DEFAULTS.maxBatchSize;
+      const take = onlyFull ? queue.length - (queue.length % maxBatch) : queue.length;
+      if (!take) return;
+      if (take === queue.length) {
+        clearTimeout(timer);
+        timer = null;
+      }
+
+      batch = queue.slice(0, take);
+      queue = queue.slice(take);
+      const chunks = [];
+      for (let i = 0; i < batch.length; i += maxBatch) chunks.push(batch.slice(i, i + maxBatch));
+      log('scheduler flush:', batch.length, 'inputs in', chunks.length, 'chunks,', queue.length, 'still queued');
+      await Promise.all(chunks.map(chunk => runChunk(chunk, stored)));
+    } catch (err) {
+      log('scheduler flush failed:', err.message);
+      if (!batch.length) {
+        batch = queue;
+        queue = [];
+        clearTimeout(timer);
+        timer = null;
+      }
+      for (const input of batch) {
+        const job = inflight.get(input);
+        if (!job) continue;
+        inflight.delete(input);
+        job.reject(err);
+      }
+    }
   }
 
+  function request(inputs, stats, stored) {
+    const promises = inputs.map((input) => {
+      let job = inflight.get(input);
+      if (!job) {
+        job = { stats: new Set() };
+        job.promise = new Promise((resolve, reject) => { job.resolve = resolve; job.reject = reject; });
+        inflight.set(input, job);
+        queue.push(input);
+      }
+      if (stats) job.stats.add(stats);
+      return job.promise;
+    });
+
+    const maxBatch = stored.maxBatchSize ?? WNS_DEFAULTS.maxBatchSize;
+    if (queue.length >= maxBatch) {
+      flush(true);
+    }
+    if (queue.length && !timer) {
+      timer = setTimeout(() => {
+        timer = null;
+        flush(false);
+      }, stored.batchWindowMs ?? WNS_DEFAULTS.batchWindowMs);
+    }
+    return Promise.allSettled(promises);
+  }
+
+  return { request };
+}
+
+const reverseScheduler = createScheduler({
+  keyOf: cacheKey,
+  field: 'n',
+  fetchChunk: (chunk, endpoints, stored) => resolveViaRPC(
+    chunk,
+    endpoints,
+    (stored.verifyNames || WNS_DEFAULTS.verifyNames) !== 'off',
+    NAME_PROVIDER_ORDERS[stored.nameProviders] || NAME_PROVIDER_ORDERS[WNS_DEFAULTS.nameProviders],
+    textRecordKeys(stored),
+  ),
+});
+
+const forwardScheduler = createScheduler({
+  keyOf: nameCacheKey,
+  field: 'a',
+  fetchChunk: resolveNamesViaRPC,
+});
+
+// ─── Resolvers ────────────────────────────────────────────────────────────────
+
+/**
+ * Shared cache-then-RPC resolver used by both lookup directions.
+ *
+ * `keyOf` maps an input to its cache key and `field` names the property that
+ * holds the resolved value ({ n: name } for reverse, { a: address } for
+ * forward); entries without it are negative results. Misses go through
+ * `scheduler`. If `stats` is given, cache hits, RPC lookups, RPC calls and
+ * errors are counted into it. Inputs whose chunk failed are left out.
+ * Returns Map<input, entry> for positive results only, each tagged with
+ * `t` (when it was fetched) and `src` ('cache' or 'rpc').
+ */
+async function resolveCached(inputs, stored, { keyOf, field, scheduler, stats }) {
+  const cacheEnabled = stored.cacheEnabled !== false;
+  const ttls = cacheTtls(stored);
+
   const results = new Map();
-  let uncached = addresses;
+  let uncached = inputs;
 
   // ── Cache read ──
   if (cacheEnabled) {
-    const keys = addresses.map(cacheKey);
-    const cached = await chrome.storage.local.get(keys);
+    const cached = await cacheGetMany(inputs.map(keyOf)).catch((err) => {
+      log('cache read failed:', err.message);
+      return new Map();
+    });
     const now = Date.now();
     uncached = [];
 
-    for (const addr of addresses) {
-      const entry = cached[cacheKey(addr)];
-      if (entry && (now - entry.t) < cacheTtlMs) {
-        if (entry.n) results.set(addr.toLowerCase(), entry.n);
-        // else: negative cache hit — address has no name, skip RPC
+    for (const input of inputs) {
+      const entry = cached.get(keyOf(input));
+      // Records carry the TTL they were written with; also honor a lowered TTL
+      if (entry && (now - entry.t) < (entry[field] ? ttls.positive : ttls.negative)) {
+        if (entry[field]) results.set(input, { ...entry, src: 'cache' });
+        // else: negative cache hit — no record, skip RPC
       } else {
-        uncached.push(addr);
+        uncached.push(input);
       }
     }
 
-    log('cache hit:', addresses.length - uncached.length,
+    log('cache hit:', inputs.length - uncached.length,
         '/ miss:', uncached.length);
+    recordCacheLookups(inputs.length - uncached.length, uncached.length);
+  }
+  if (stats) {
+    stats.cacheHits += inputs.length - uncached.length;
+    stats.rpcLookups += uncached.length;
   }
 
-  // ── RPC for misses (chunked by maxBatchSize) ──
+  // ── Scheduler for misses ──
   if (uncached.length) {
-    const maxBatch = stored.maxBatchSize ?? WNS_DEFAULTS.maxBatchSize;
-    const chunks = [];
-    for (let i = 0; i < uncached.length; i += maxBatch) {
-      chunks.push(uncached.slice(i, i + maxBatch));
-    }
+    const settled = await scheduler.request(uncached, stats, stored);
+    const errors = new Set();
+    uncached.forEach((input, i) => {
+      const { status, value, reason } = settled[i];
+      if (status === 'rejected') errors.add(reason);
+      else if (value) results.set(input, value);
+    });
+    if (stats) for (const err of errors) recordTabError(stats, err);
+  }
 
-    for (const chunk of chunks) {
-      const fresh = await resolveViaRPC(chunk, rpcUrl, customHeaders);
+  return results;
+}
 
-      if (cacheEnabled) {
-        const now = Date.now();
-        const toStore = {};
-        for (const addr of chunk) {
-          const name = fresh.get(addr.toLowerCase()) || null;
-          toStore[cacheKey(addr)] = { n: name, t: now };
-        }
-        await chrome.storage.local.set(toStore);
-      }
+/**
+ * Main resolver — checks cache first, then schedules RPC lookups only for
+ * misses. ENS names must have passed their forward check. In strict
+ * verification mode, WNS names that failed it are dropped here (the cache
+ * still records them with v: false), and so are lookalike names in strict
+ * Lookalike Names mode.
+ * Returns Map<address_lowercase, { n: name, p: provider, c: confusable, v?: verified }>.
+ */
+async function resolveAddresses(addresses, stats = null) {
+  const stored = await getConfig();
+  const verifyMode = stored.verifyNames || WNS_DEFAULTS.verifyNames;
+  const confusableMode = stored.confusableNames || WNS_DEFAULTS.confusableNames;
 
-      for (const [addr, name] of fresh) results.set(addr, name);
-    }
-  }
+  const results = await resolveCached(addresses.map(a => a.toLowerCase()), stored, {
+    keyOf: cacheKey,
+    field: 'n',
+    scheduler: reverseScheduler,
+    stats,
+  });
 
+  for (const [addr, entry] of results) {
+    // Entries cached before lookalike checks existed have no `c` yet
+    if (entry.c === undefined) entry.c = checkConfusable(entry.n);
+    // ENS names cached before they were always verified have no `v`
+    if (entry.p === 'ens' && entry.v !== true) results.delete(addr);
+    else if (verifyMode === 'strict' && entry.v !== true) results.delete(addr);
+    else if (confusableMode === 'strict' && entry.c) results.delete(addr);
+  }
   return results;
 }
 
-// ─── RPC cooldown ─────────────────────────────────────────────────────────────
+/**
+ * Forward resolver for normalized .wei names — same cache-then-RPC flow as
+ * resolveAddresses, under its own cache namespace.
+ * Returns Map<name, { a: address_lowercase }>.
+ */
+async function resolveNames(names, stats = null) {
+  const stored = await getConfig();
+  return resolveCached(names, stored, {
+    keyOf: nameCacheKey,
+    field: 'a',
+    scheduler: forwardScheduler,
+    stats,
+  });
+}
+
+// ─── Per-tab stats ────────────────────────────────────────────────────────────
+
+/*
+ * Activity counters for the popup, keyed by tab ID. Kept in memory and
+ * mirrored to chrome.storage.session so they survive the service worker
+ * being suspended; reset whenever the tab starts loading a new page.
+ */
+
+const MAX_TAB_ERRORS = 10;
+const tabStats = new Map();
+const tabStatsTimers = new Map();
+
+function tabStatsKey(tabId) {
+  return `tabStats_${tabId}`;
+}
+
+function emptyTabStats() {
+  return {
+    scanned: 0,      // anchors examined by content.js (all frames)
+    matched: 0,      // anchors that carried an address
+    names: {},       // address → name
+    unnamed: {},     // address → true (resolved, no name)
+    cacheHits: 0,
+    rpcLookups: 0,   // addresses sent to the RPC
+    rpcCalls: 0,     // eth_call batches
+    errors: [],      // [{ t, message }], newest last
+  };
+}
+
+/** Load (or create) the stats object for a tab. */
+async function getTabStats(tabId) {
+  if (tabStats.has(tabId)) return tabStats.get(tabId);
+  const key = tabStatsKey(tabId);
+  const stored = await chrome.storage.session.get(key);
+  // Another caller may have created it while we were awaiting
+  if (!tabStats.has(tabId)) tabStats.set(tabId, stored[key] || emptyTabStats());
+  return tabStats.get(tabId);
+}
+
+/** Persist a tab's stats to session storage, coalescing bursts of updates. */
+function saveTabStats(tabId) {
+  if (tabStatsTimers.has(tabId)) return;
+  tabStatsTimers.set(tabId, setTimeout(() => {
+    tabStatsTimers.delete(tabId);
+    const stats = tabStats.get(tabId);
+    if (stats) chrome.storage.session.set({ [tabStatsKey(tabId)]: stats });
+  }, 250));
+}
+
+function resetTabStats(tabId) {
+  clearTimeout(tabStatsTimers.get(tabId));
+  tabStatsTimers.delete(tabId);
+  tabStats.delete(tabId);
+  chrome.storage.session.remove(tabStatsKey(tabId));
+}
+
+function recordTabError(stats, err) {
+  stats.errors.push({ t: Date.now(), message: String(err?.message || err) });
+  if (stats.errors.length > MAX_TAB_ERRORS) stats.errors.shift();
+}
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status === 'loading') resetTabStats(tabId);
+});
+chrome.tabs.onRemoved.addListener(resetTabStats);
+
+// ─── Reveal toggle ───────────────────────────────────────────────────────────
+
+/*
+ * Tabs currently showing original addresses instead of names. Toggled from
+ * the popup or the keyboard shortcut, pushed to every frame of the tab, and
+ * asked for by content.js when a frame starts. Mirrored to
+ * chrome.storage.session so it survives service worker restarts; a tab
+ * starts showing names again when it navigates.
+ */
+
+const REVEAL_COMMAND = 'toggle-reveal';
+const revealTabs = new Set();
+const revealReady = chrome.storage.session.get({ revealTabs: [] })
+  .then(({ revealTabs: ids }) => ids.forEach(id => revealTabs.add(id)));
+
+function saveRevealTabs() {
+  chrome.storage.session.set({ revealTabs: [...revealTabs] });
+}
+
+/** Set a tab's reveal state and push it to all of its frames. Resolves to the new state. */
+async function setTabRevealed(tabId, on) {
+  await revealReady;
+  if (on) revealTabs.add(tabId);
+  else revealTabs.delete(tabId);
+  saveRevealTabs();
+  chrome.tabs.sendMessage(tabId, { type: 'SET_REVEAL', revealed: on }).catch(() => { /* no content script */ });
+  return on;
+}
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (command !== REVEAL_COMMAND || tab?.id === undefined) return;
+  await revealReady;
+  setTabRevealed(tab.id, !revealTabs.has(tab.id));
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status === 'loading' && revealTabs.delete(tabId)) saveRevealTabs();
+});
+chrome.tabs.onRemoved.addListener((tabId) => {
+  if (revealTabs.delete(tabId)) saveRevealTabs();
+});
+
+// ─── Lookalike addresses (address poisoning) ─────────────────────────────────
+
+/*
+ * Poisoning scams send dust from an address that shares the first and last
+ * few hex characters of one the victim uses, hoping it gets copied from the
+ * transaction history later. The background keeps a set of trusted addresses
+ * — ones the user copied or filled in through the extension — and checks
+ * every address a page asks about against it and the address book. The set
+ * is mirrored to chrome.storage.local (it never syncs) and capped, least
+ * recently seen first out. Verified names are only remembered apart, in
+ * memory, to label an address once it is used: kept in the same set they
+ * would push out the used addresses on name-heavy pages.
+ */
+
+const TRUSTED_ADDRESSES_KEY = 'trustedAddresses';
+const TRUSTED_ADDRESSES_MAX = 5000;
+const TRUSTED_SAVE_DELAY_MS = 1000;
+const NAMED_ADDRESSES_MAX = 1000;
+
+const trustedAddresses = new Map(); // address → { n?: name, t }, least recently seen first
+const namedAddresses = new Map(); // address → verified name, least recently seen first
+let trustedSaveTimer = null;
+const trustedReady = chrome.storage.local.get({ [TRUSTED_ADDRESSES_KEY]: {} })
+  .then(({ [TRUSTED_ADDRESSES_KEY]: saved }) => {
+    for (const [address, entry] of Object.entries(saved)) trustedAddresses.set(address, entry);
+  });
+
+function saveTrustedAddresses() {
+  clearTimeout(trustedSaveTimer);
+  trustedSaveTimer = setTimeout(() => {
+    chrome.storage.local.set({ [TRUSTED_ADDRESSES_KEY]: Object.fromEntries(trustedAddresses) });
+  }, TRUSTED_SAVE_DELAY_MS);
+}
+
+/** Remember the verified names among [[address, name]], for labelling used addresses. */
+function rememberNames(entries) {
+  for (const [address, name] of entries) {
+    const key = address.toLowerCase();
+    namedAddresses.delete(key); // re-inserted last: most recently seen
+    namedAddresses.set(key, name);
+  }
+  while (namedAddresses.size > NAMED_ADDRESSES_MAX) namedAddresses.delete(namedAddresses.keys().next().value);
+}
+
+/** Add or refresh a trusted address, labelled with its name if one was seen. */
+async function trustAddress(address) {
+  await trustedReady;
+  const key = address.toLowerCase();
+  const name = namedAddresses.get(key) ?? trustedAddresses.get(key)?.n;
+  trustedAddresses.delete(key); // re-inserted last: most recently seen
+  trustedAddresses.set(key, name ? { n: name, t: Date.now() } : { t: Date.now() });
+  while (trustedAddresses.size > TRUSTED_ADDRESSES_MAX) trustedAddresses.delete(trustedAddresses.keys().next().value);
+  saveTrustedAddresses();
+}
 
-let lastRpcTime = 0;
+/** Forget every trusted address. Resolves to how many there were. */
+async function clearTrustedAddresses() {
+  await trustedReady;
+  const cleared = trustedAddresses.size;
+  trustedAddresses.clear();
+  namedAddresses.clear();
+  clearTimeout(trustedSaveTimer);
+  await chrome.storage.local.remove(TRUSTED_ADDRESSES_KEY);
+  return cleared;
+}
 
-/** Wait until the cooldown period has elapsed since the last RPC call. */
-async function waitForCooldown() {
+/** The first and last `length` hex characters of a lowercase address — what a lookalike copies. */
+function lookalikeKey(address, length) {
+  return address.slice(2, 2 + length) + address.slice(-length);
+}
+
+/**
+ * Find addresses that share the first and last `length` hex characters with
+ * a trusted or address book address but differ in the middle. Addresses in
+ * the address book or used by the user are never flagged themselves; named
+ * ones are, since anyone can name a poisoning address.
+ * Returns { address → { trusted, label? } } for lowercase `addresses`.
+ */
+function findLookalikes(addresses, book, length) {
+  const index = new Map(); // lookalikeKey → [{ address, label }]
+  const add = (address, label) => {
+    const key = lookalikeKey(address, length);
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push({ address, label });
+  };
+  for (const [address, entry] of trustedAddresses) add(address, book[address] ?? entry.n);
+  for (const [address, label] of Object.entries(book)) {
+    if (!trustedAddresses.has(address)) add(address, label);
+  }
+
+  const found = {};
+  for (const address of addresses) {
+    if (book[address] || trustedAddresses.has(address)) continue;
+    const match = index.get(lookalikeKey(address, length))?.find(c => c.address !== address);
+    if (match) found[address] = match.label ? { trusted: match.address, label: match.label } : { trusted: match.address };
+  }
+  return found;
+}
+
+/**
+ * Remember the clean names among `nameMap` (forward-verified, not lookalike
+ * names), then look for lookalikes among `addresses`. Does nothing when
+ * Lookalike Address Detection is off.
+ */
+async function detectLookalikes(addresses, nameMap) {
+  const stored = await getConfig();
+  if (stored.lookalikeDetection === false) return {};
+  // Unchecked WNS names (Name Verification off) carry no `v` and are skipped
+  rememberNames([...nameMap]
+    .filter(([, entry]) => entry.v === true && !entry.c)
+    .map(([address, entry]) => [address, entry.n]));
+  await trustedReady;
+  const length = stored.lookalikeMatchLength ?? WNS_DEFAULTS.lookalikeMatchLength;
+  return findLookalikes(addresses.map(a => a.toLowerCase()), await getAddressBook(), length);
+}
+
+/** Record that the user copied or filled in `address` — unless it is itself a lookalike. */
+async function trustUsedAddress(address) {
   const stored = await getConfig();
-  const cooldown = stored.rpcCooldownMs ?? WNS_DEFAULTS.rpcCooldownMs;
-  const elapsed = Date.now() - lastRpcTime;
-  if (elapsed < cooldown) {
-    await new Promise(r => setTimeout(r, cooldown - elapsed));
+  if (stored.lookalikeDetection === false) return;
+  await trustedReady;
+  const key = address.toLowerCase();
+  const length = stored.lookalikeMatchLength ?? WNS_DEFAULTS.lookalikeMatchLength;
+  if (findLookalikes([key], await getAddressBook(), length)[key]) {
+    log('not trusting lookalike address', key);
+    return;
   }
+  await trustAddress(key);
 }
 
-/** Wrapper that enforces cooldown around resolveAddresses. */
-async function resolveWithCooldown(addresses) {
-  await waitForCooldown();
-  lastRpcTime = Date.now();
-  return resolveAddresses(addresses);
+// ─── Avatars ─────────────────────────────────────────────────────────────────
+
+/*
+ * Avatar images are fetched here, never by content scripts: the URL comes from
+ * an on-chain record anyone can set, so the page's origin, cookies and referrer
+ * stay out of it. Only raster images under AVATAR_MAX_BYTES are accepted, and
+ * they go back to the tab as data: URLs. SVG is refused — it can carry script.
+ */
+
+const AVATAR_MAX_BYTES = 256 * 1024;
+const AVATAR_TIMEOUT_MS = 5000;
+const AVATAR_CACHE_SIZE = 200;
+const AVATAR_MIME_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/avif'];
+const AVATAR_DATA_URL_RE = /^data:image\/(png|jpeg|gif|webp|avif);base64,[A-Za-z0-9+/]+={0,2}$/;
+const IPFS_GATEWAY = 'https://ipfs.io/ipfs/';
+
+const avatarCache = new Map(); // source URL → Promise<data URL | null>, oldest first
+
+/** False for localhost, private-use suffixes and IP literals (no LAN probing via avatars). */
+function isPublicHostname(hostname) {
+  if (hostname === 'localhost' || /\.(localhost|local|internal|lan|home\.arpa)$/.test(hostname)) return false;
+  if (/^\d+(\.\d+){3}$/.test(hostname) || hostname.startsWith('[')) return false;
+  return hostname.includes('.');
+}
+
+/**
+ * Turn an avatar text record into a URL to load: https:// on a public host,
+ * ipfs:// through IPFS_GATEWAY, or an inline raster data: URL. Anything else
+ * (NFT references, http, SVG) gives null.
+ */
+function avatarSourceUrl(value) {
+  if (typeof value !== 'string') return null;
+  if (value.startsWith('data:')) return AVATAR_DATA_URL_RE.test(value) ? value : null;
+  const url = value.startsWith('ipfs://') ? IPFS_GATEWAY + value.slice(7).replace(/^ipfs\//, '') : value;
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'https:' && isPublicHostname(parsed.hostname) ? parsed.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Read a response body, giving up (null) as soon as it passes `maxBytes`. */
+async function readBodyCapped(body, maxBytes) {
+  const reader = body.getReader();
+  const chunks = [];
+  let total = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.length;
+    if (total > maxBytes) {
+      reader.cancel().catch(() => {});
+      return null;
+    }
+    chunks.push(value);
+  }
+  const bytes = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+}
+
+/** Base64-encode bytes (in slices, so large images don't overflow the call stack). */
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/** Fetch an avatar and return it as a data: URL, or null when it breaks a limit or fails. */
+async function fetchAvatar(url) {
+  if (url.startsWith('data:')) return url;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), AVATAR_TIMEOUT_MS);
+  try {
+    // No redirects: a public host could otherwise send the request on to a LAN
+    // address. A manual redirect comes back as opaque (status 0) or 3xx, never ok.
+    const res = await fetch(url, {
+      credentials: 'omit',
+      referrerPolicy: 'no-referrer',
+      redirect: 'manual',
+      signal: controller.signal,
+    });
+    if (!res.ok) return null;
+    const type = (res.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    if (!AVATAR_MIME_TYPES.includes(type)) {
+      log('avatar refused, type:', type || 'none');
+      return null;
+    }
+    if (Number(res.headers.get('content-length')) > AVATAR_MAX_BYTES) return null;
+    const bytes = await readBodyCapped(res.body, AVATAR_MAX_BYTES);
+    return bytes?.length ? `data:${type};base64,${bytesToBase64(bytes)}` : null;
+  } catch (err) {
+    log('avatar fetch failed:', err.message);
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/** fetchAvatar through a small in-memory LRU, shared by every tab. */
+function getAvatar(url) {
+  let pending = avatarCache.get(url);
+  if (pending) {
+    avatarCache.delete(url);
+  } else {
+    pending = fetchAvatar(url);
+  }
+  avatarCache.set(url, pending);
+  if (avatarCache.size > AVATAR_CACHE_SIZE) avatarCache.delete(avatarCache.keys().next().value);
+  return pending;
 }
 
 // ─── Message listener ────────────────────────────────────────────────────────
 
-chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   log('message received:', message.type);
+  const tabId = sender.tab?.id;
 
   if (message.type === 'CLEAR_CACHE') {
+    cacheClear().then((cleared) => {
+      log('cache cleared:', cleared, 'entries');
+      sendResponse({ cleared });
+    }, (err) => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.type === 'GET_CACHE_STATS') {
+    cacheStats().then(
+      stats => sendResponse({ stats }),
+      err => sendResponse({ error: err.message }),
+    );
+    return true;
+  }
+
+  if (message.type === 'REPORT_SCAN') {
+    if (tabId === undefined) return false;
+    getTabStats(tabId).then((stats) => {
+      stats.scanned += Number(message.scanned) || 0;
+      stats.matched += Number(message.matched) || 0;
+      saveTabStats(tabId);
+    });
+    return false;
+  }
+
+  if (message.type === 'GET_RPC_HEALTH') {
     (async () => {
-      const items = await chrome.storage.local.get(null);
-      const wnsKeys = Object.keys(items).filter(k => k.startsWith('wns_'));
-      await chrome.storage.local.remove(wnsKeys);
-      log('cache cleared:', wnsKeys.length, 'entries');
-      sendResponse({ cleared: wnsKeys.length });
+      await rpcHealthReady;
+      const endpoints = getRpcEndpoints(await getConfig());
+      const now = Date.now();
+      sendResponse({
+        endpoints: endpoints.map((e) => {
+          const h = getHealth(e.url);
+          const recentFailures = h.failures.filter(t => now - t < RPC_FAILURE_WINDOW_MS).length;
+          return { ...h, recentFailures, coolingDown: h.cooldownUntil > now };
+        }),
+      });
     })();
     return true;
   }
 
+  if (message.type === 'GET_TAB_STATS') {
+    if (typeof message.tabId !== 'number') {
+      sendResponse({ stats: null });
+      return false;
+    }
+    getTabStats(message.tabId).then(stats => sendResponse({ stats }));
+    return true;
+  }
+
+  if (message.type === 'GET_REVEAL') {
+    // From content.js (its own tab) or the popup (message.tabId)
+    const id = typeof message.tabId === 'number' ? message.tabId : tabId;
+    revealReady.then(() => sendResponse({ revealed: revealTabs.has(id) }));
+    return true;
+  }
+
+  if (message.type === 'SET_TAB_REVEAL') {
+    if (typeof message.tabId !== 'number') return false;
+    setTabRevealed(message.tabId, message.revealed === true).then(revealed => sendResponse({ revealed }));
+    return true;
+  }
+
+  if (message.type === 'TRUST_ADDRESS') {
+    // From content.js: the user copied or filled in this address
+    if (typeof message.address === 'string' && /^0x[0-9a-fA-F]{40}$/.test(message.address)) {
+      trustUsedAddress(message.address);
+    }
+    return false;
+  }
+
+  if (message.type === 'CLEAR_TRUSTED_ADDRESSES') {
+    clearTrustedAddresses().then(cleared => sendResponse({ cleared }), err => sendResponse({ error: err.message }));
+    return true;
+  }
+
+  if (message.type === 'GET_AVATAR') {
+    // The avatar record is looked up here, not taken from the message
+    if (typeof message.address !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(message.address)) {
+      sendResponse({ dataUrl: null });
+      return false;
+    }
+    (async () => {
+      const stored = await getConfig();
+      if (!stored.textRecords) return null;
+      const entry = (await resolveAddresses([message.address])).get(message.address.toLowerCase());
+      const url = avatarSourceUrl(entry?.r?.avatar);
+      return url ? getAvatar(url) : null;
+    })().then(dataUrl => sendResponse({ dataUrl }), (err) => {
+      log('avatar error:', err);
+      sendResponse({ dataUrl: null });
+    });
+    return true;
+  }
+
+  if (message.type === 'RESOLVE_NAME') {
+    const names = [...new Set((Array.isArray(message.names) ? message.names : [])
+      .map(normalizeName)
+      .filter(Boolean))];
+    if (!names.length) {
+      sendResponse({ addresses: {} });
+      return false;
+    }
+
+    log('forward-resolving', names.length, 'names:', names);
+    (async () => {
+      const stats = tabId === undefined ? null : await getTabStats(tabId);
+      try {
+        const addrMap = await resolveNames(names, stats);
+        log('resolved', addrMap.size, 'addresses');
+        const resolved = {};
+        for (const [name, entry] of addrMap) resolved[name] = entry.a;
+        sendResponse({ addresses: resolved });
+      } catch (err) {
+        log('resolve name error:', err);
+        if (stats) recordTabError(stats, err);
+        // Tell "no address" apart from "could not look up" (the input helper shows both)
+        sendResponse({ addresses: {}, error: 'lookup failed' });
+      } finally {
+        if (stats) saveTabStats(tabId);
+      }
+    })();
+
+    return true;
+  }
+
   if (message.type !== 'RESOLVE') return false;
 
   const VALID_ADDR = /^0x[0-9a-fA-F]{40}$/;
   const addresses = (Array.isArray(message.addresses) ? message.addresses : [])
     .filter(a => typeof a === 'string' && VALID_ADDR.test(a));
   if (!addresses.length) {
-    sendResponse({ names: {} });
+    sendResponse({ names: {}, records: {}, lookalikes: {} });
     return false;
   }
 
   log('resolving', addresses.length, 'addresses:', addresses);
-  resolveWithCooldown(addresses).then((nameMap) => {
-    log('resolved', nameMap.size, 'names');
-    sendResponse({ names: Object.fromEntries(nameMap) });
-  }).catch((err) => {
-    log('resolve error:', err);
-    sendResponse({ names: {} });
-  });
+  (async () => {
+    const stats = tabId === undefined ? null : await getTabStats(tabId);
+    try {
+      const nameMap = await resolveAddresses(addresses, stats);
+      log('resolved', nameMap.size, 'names');
+      const names = {};
+      const records = {};
+      for (const [addr, entry] of nameMap) {
+        names[addr] = entry.n;
+        records[addr] = {
+          name: entry.n,
+          provider: entry.p || 'wns',
+          verified: entry.v,
+          source: entry.src,
+          resolvedAt: entry.t,
+          textRecords: entry.r,
+          confusable: entry.c || undefined,
+        };
+      }
+      if (stats) {
+        for (const addr of addresses.map(a => a.toLowerCase())) {
+          if (names[addr]) stats.names[addr] = names[addr];
+          else stats.unnamed[addr] = true;
+        }
+      }
+      const lookalikes = await detectLookalikes(addresses, nameMap).catch((err) => {
+        log('lookalike check failed:', err);
+        return {};
+      });
+      sendResponse({ names, records, lookalikes });
+    } catch (err) {
+      log('resolve error:', err);
+      if (stats) recordTabError(stats, err);
+      sendResponse({ names: {}, records: {}, lookalikes: {} });
+    } finally {
+      if (stats) saveTabStats(tabId);
+    }
+  })();
 
   return true;
 });
+
+// ─── Omnibox (`wns <name or address>`) ───────────────────────────────────────
+
+const OMNIBOX_DEBOUNCE_MS = 250;
+const OMNIBOX_ADDRESS_RE = /0x[0-9a-fA-F]{40}/;
+
+let omniboxTimer = null;
+let omniboxRequest = 0; // bumped on every keystroke
+
+/** Escape text for an omnibox description (which is parsed as XML). */
+function escapeOmnibox(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+/**
+ * Interpret omnibox input as an address or a .wei name. A bare label
+ * ("dnzn") is treated as "dnzn.wei". Returns { address } | { name } | null.
+ */
+function parseOmniboxInput(text) {
+  const match = OMNIBOX_ADDRESS_RE.exec(text);
+  if (match) return { address: match[0].toLowerCase() };
+  const trimmed = text.trim();
+  const name = normalizeName(trimmed.includes('.') ? trimmed : `${trimmed}.wei`);
+  return name ? { name } : null;
+}
+
+/** Look up omnibox input. Returns { address, name, provider } with either side possibly null. */
+async function lookupOmniboxInput(input) {
+  if (input.address) {
+    const entry = (await resolveAddresses([input.address])).get(input.address);
+    return { address: input.address, name: entry?.n ?? null, provider: entry?.p || 'wns' };
+  }
+  const entry = (await resolveNames([input.name])).get(input.name);
+  return { address: entry?.a ?? null, name: input.name, provider: 'wns' };
+}
+
+/** Describe a lookup result as omnibox markup. */
+function describeOmniboxResult({ address, name, provider }) {
+  if (address && name) {
+    return `<match>${escapeOmnibox(name)}</match> <dim>(${provider.toUpperCase()})</dim> · <url>${checksumAddress(address)}</url>`;
+  }
+  if (address) return `<url>${checksumAddress(address)}</url> <dim>has no primary name</dim>`;
+  return `<match>${escapeOmnibox(name)}</match> <dim>is not registered or has no address</dim>`;
+}
+
+const OMNIBOX_HINT = 'Look up a WNS name or address: type <match>name.wei</match> or <match>0x…</match>';
+
+chrome.omnibox.setDefaultSuggestion({ description: OMNIBOX_HINT });
+
+// The answer is shown as the default suggestion (the row Enter opens), so
+// there is no separate suggestion list to keep in sync with the input.
+chrome.omnibox.onInputChanged.addListener((text) => {
+  clearTimeout(omniboxTimer);
+  // A lookup still running for earlier text must not overwrite the answer for this one
+  const request = ++omniboxRequest;
+  chrome.omnibox.setDefaultSuggestion({ description: OMNIBOX_HINT });
+  const input = parseOmniboxInput(text);
+  if (!input) return;
+
+  omniboxTimer = setTimeout(async () => {
+    try {
+      const result = await lookupOmniboxInput(input);
+      if (request !== omniboxRequest) return;
+      chrome.omnibox.setDefaultSuggestion({ description: describeOmniboxResult(result) });
+    } catch (err) {
+      log('omnibox lookup failed:', err.message);
+    }
+  }, OMNIBOX_DEBOUNCE_MS);
+});
+
+chrome.omnibox.onInputEntered.addListener(async (text, disposition) => {
+  const input = parseOmniboxInput(text);
+  let address = input?.address;
+  if (input?.name) {
+    address = (await resolveNames([input.name]).catch(() => new Map())).get(input.name)?.a;
+  }
+  if (!address) {
+    log('omnibox: nothing to open for', text);
+    return;
+  }
+
+  const stored = await getConfig();
+  const template = stored.omniboxExplorerUrl || WNS_DEFAULTS.omniboxExplorerUrl;
+  const url = template.replaceAll('{address}', checksumAddress(address));
+  if (disposition === 'currentTab') {
+    chrome.tabs.update({ url });
+  } else {
+    chrome.tabs.create({ url, active: disposition === 'newForegroundTab' });
+  }
+});
+
+// ─── Context menus ───────────────────────────────────────────────────────────
+
+const MENU_RESOLVE_ADDRESS = 'wns-resolve-address';
+const MENU_COPY_NAME_ADDRESS = 'wns-copy-name-address';
+const MENU_COPY_ORIGINAL = 'wns-copy-original';
+const MENU_EDIT_PETNAME = 'wns-edit-petname';
+
+const NOTIFICATION_ICON = 'icons/zorgz-2625/icon128.png';
+const NOTIFICATION_TIMEOUT_MS = 4000;
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: MENU_RESOLVE_ADDRESS,
+      title: 'Resolve WNS name for this address',
+      contexts: ['selection', 'link'],
+    });
+    chrome.contextMenus.create({
+      id: MENU_COPY_NAME_ADDRESS,
+      title: 'Copy address for this .wei name',
+      contexts: ['selection'],
+    });
+    // Always shown: a notification explains when the target isn't a replaced anchor
+    chrome.contextMenus.create({
+      id: MENU_COPY_ORIGINAL,
+      title: 'Copy original address',
+      contexts: ['page', 'link', 'selection'],
+    });
+    chrome.contextMenus.create({
+      id: MENU_EDIT_PETNAME,
+      title: 'Label this address…',
+      contexts: ['page', 'link', 'selection'],
+    });
+  });
+});
+
+/** Show a short-lived notification. */
+function notify(title, message) {
+  chrome.notifications.create({ type: 'basic', iconUrl: NOTIFICATION_ICON, title, message }, (id) => {
+    if (id) setTimeout(() => chrome.notifications.clear(id), NOTIFICATION_TIMEOUT_MS);
+  });
+}
+
+/**
+ * Copy text via the content script in the clicked frame (service workers
+ * have no clipboard). Resolves to false when no content script answers,
+ * e.g. on a disabled site.
+ */
+async function copyInTab(tab, frameId, text) {
+  if (!tab?.id) return false;
+  try {
+    const response = await chrome.tabs.sendMessage(tab.id, { type: 'COPY_TEXT', text }, { frameId: frameId ?? 0 });
+    return response?.ok === true;
+  } catch {
+    return false;
+  }
+}
+
+/** Shorten an address for notification text. */
+function shortAddress(address) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+/** First address in the selection, else the last one in the link (usually the subject). */
+function addressFromClick(info) {
+  const fromSelection = info.selectionText?.match(OMNIBOX_ADDRESS_RE);
+  if (fromSelection) return fromSelection[0].toLowerCase();
+  const fromLink = info.linkUrl?.match(new RegExp(OMNIBOX_ADDRESS_RE.source, 'g'));
+  return fromLink ? fromLink[fromLink.length - 1].toLowerCase() : null;
+}
+
+async function onResolveAddressClicked(info, tab) {
+  const address = addressFromClick(info);
+  if (!address) {
+    notify('No address found', 'The selection or link does not contain an Ethereum address.');
+    return;
+  }
+  const name = (await resolveAddresses([address])).get(address)?.n;
+  if (!name) {
+    notify('No WNS name', `${checksumAddress(address)} has no primary name.`);
+    return;
+  }
+  const copied = await copyInTab(tab, info.frameId, name);
+  notify(name, `${copied ? 'Copied name' : 'Name'} for ${shortAddress(checksumAddress(address))}`);
+}
+
+async function onCopyNameAddressClicked(info, tab) {
+  const name = normalizeName(info.selectionText || '');
+  if (!name) {
+    notify('Not a .wei name', `"${(info.selectionText || '').trim().slice(0, 64)}" is not a .wei name.`);
+    return;
+  }
+  const address = (await resolveNames([name])).get(name)?.a;
+  if (!address) {
+    notify('Name not found', `${name} is not registered or has no address.`);
+    return;
+  }
+  const checksummed = checksumAddress(address);
+  const copied = await copyInTab(tab, info.frameId, checksummed);
+  if (copied) trustUsedAddress(address);
+  notify(copied ? `Copied address for ${name}` : `Address for ${name}`, checksummed);
+}
+
+async function onCopyOriginalClicked(info, tab) {
+  let address = null;
+  try {
+    const response = await chrome.tabs.sendMessage(tab.id, { type: 'GET_CONTEXT_ADDRESS' }, { frameId: info.frameId ?? 0 });
+    address = response?.address ?? null;
+  } catch { /* no content script in that frame */ }
+  if (!address) {
+    notify('No replaced address', 'Right-click a replaced name to copy its original address.');
+    return;
+  }
+  const copied = await copyInTab(tab, info.frameId, address);
+  if (copied) trustUsedAddress(address);
+  notify(copied ? 'Copied original address' : 'Original address', address);
+}
+
+/**
+ * Open the address book label editor in the clicked frame, for the replaced
+ * element under the cursor or else the address in the selection or link.
+ */
+async function onEditPetnameClicked(info, tab) {
+  const frame = { frameId: info.frameId ?? 0 };
+  let address = null;
+  try {
+    const response = await chrome.tabs.sendMessage(tab.id, { type: 'GET_CONTEXT_ADDRESS' }, frame);
+    address = response?.address ?? null;
+  } catch { /* no content script in that frame */ }
+  address ??= addressFromClick(info);
+  if (!address) {
+    notify('No address found', 'Right-click a replaced name, or select or link an Ethereum address.');
+    return;
+  }
+  try {
+    await chrome.tabs.sendMessage(tab.id, { type: 'EDIT_PETNAME', address }, frame);
+  } catch {
+    notify('Cannot label here', 'WNS Resolver is not running on this page. Use the address book on the options page.');
+  }
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  const handlers = {
+    [MENU_RESOLVE_ADDRESS]: onResolveAddressClicked,
+    [MENU_COPY_NAME_ADDRESS]: onCopyNameAddressClicked,
+    [MENU_COPY_ORIGINAL]: onCopyOriginalClicked,
+    [MENU_EDIT_PETNAME]: onEditPetnameClicked,
+  };
+  handlers[info.menuItemId]?.(info, tab).catch((err) => {
+    log('context menu action failed:', err.message);
+    notify('WNS lookup failed', err.message);
+  });
+});
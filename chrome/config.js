@@ -5,21 +5,56 @@
 
 const WNS_DEFAULTS = {
   rpcUrl: 'https://eth.llamarpc.com',
+  rpcFallbacks: [],
+  rpcTimeoutMs: 10000,
+  rpcMaxRetries: 2,
   replaceEns: false,
+  nameProviders: 'wns',
+  verifyNames: 'off',
+  confusableNames: 'mark',
+  lookalikeDetection: true,
+  lookalikeMatchLength: 4, // hex characters compared at each end (4–6)
   logging: false,
   cacheEnabled: true,
   cacheTtlMinutes: 60,
+  cacheNegativeTtlMinutes: 15,
+  cacheMaxEntries: 10000,
   hrefRe: '',
   hrefRules: '',
   ethRe: '\\b0x[0-9a-fA-F]{40}\\b',
   abbrRe: '\\b0x([0-9a-fA-F]{4,})[…\\.]{2,3}([0-9a-fA-F]{4,})\\b',
   maxBatchSize: 50,
   rpcCooldownMs: 2000,
+  rpcBurst: 3,
+  batchWindowMs: 50,
+  lazyResolution: false,
   allFrames: true,
   ignoreList: [],
+  siteMode: 'all',
+  siteDenyList: [],
+  siteAllowList: [],
+  textNodeSites: [],
+  nameInputSites: [],
+  disabledSitePacks: [],
+  displayTemplate: '{name}',
+  siteDisplayTemplates: [], // [{ host, template }]
+  hoverCard: true,
+  textRecords: false,
+  textRecordKeys: [], // extra WNS text records besides avatar, e.g. 'url', 'com.twitter'
+  omniboxExplorerUrl: 'https://etherscan.io/address/{address}',
+  explorerLinks: [
+    { label: 'Etherscan', url: 'https://etherscan.io/address/{address}' },
+    { label: 'Blockscout', url: 'https://eth.blockscout.com/address/{address}' },
+  ],
   rpcHeaders: '',
 };
 
+// C0/C1 control, zero-width, bidi override and isolate characters, and the
+// BOM: stripped from names, text records and address book labels so they
+// cannot spoof the text around them. Use with replace(), not test().
+// eslint-disable-next-line no-control-regex
+const UNSAFE_TEXT_RE = /[\u0000-\u001F\u007F-\u009F\u200B-\u200F\u202A-\u202E\u2060-\u2069\uFEFF]/g;
+
 /**
  * Determine which chrome.storage area holds config (sync or local).
  * The useSync flag itself always lives in chrome.storage.local.
@@ -36,8 +71,83 @@ async function getConfig() {
   return new Promise(resolve => store.get(WNS_DEFAULTS, resolve));
 }
 
-/** Write config to the active storage area. */
+/**
+ * Write config to the active storage area. When a profile is active, the
+ * same keys are written into its snapshot so switching away and back keeps
+ * the change.
+ */
 async function setConfig(data) {
   const store = await getConfigStorage();
-  return new Promise(resolve => store.set(data, resolve));
+  await new Promise(resolve => store.set(data, resolve));
+  const { profiles, activeProfile } = await getProfiles();
+  if (activeProfile && profiles[activeProfile]) {
+    profiles[activeProfile] = { ...profiles[activeProfile], ...pickConfigKeys(data) };
+    await chrome.storage.local.set({ profiles });
+  }
+}
+
+// ─── Profiles ────────────────────────────────────────────────────────────────
+// Named snapshots of the full config ("work RPC", "public RPC"). The live
+// config stays in the flat WNS_DEFAULTS keys that everything else reads;
+// switching a profile copies its snapshot over them. Profiles are kept in
+// chrome.storage.local (like useSync), so they stay on this device and are
+// not subject to the sync storage per-item quota.
+
+/** Keep only known config keys. */
+function pickConfigKeys(data) {
+  return Object.fromEntries(Object.entries(data).filter(([key]) => key in WNS_DEFAULTS));
+}
+
+/** Read { profiles: { name → config }, activeProfile } ('' when none). */
+async function getProfiles() {
+  return chrome.storage.local.get({ profiles: {}, activeProfile: '' });
+}
+
+/** Store `config` as profile `name` (replacing any existing one) and make it active. */
+async function saveProfile(name, config) {
+  const { profiles } = await getProfiles();
+  profiles[name] = { ...WNS_DEFAULTS, ...pickConfigKeys(config) };
+  await chrome.storage.local.set({ profiles, activeProfile: name });
+}
+
+/** Apply profile `name` to the live config. Returns false if it does not exist. */
+async function switchProfile(name) {
+  const { profiles } = await getProfiles();
+  if (!profiles[name]) return false;
+  await chrome.storage.local.set({ activeProfile: name });
+  const store = await getConfigStorage();
+  await new Promise(resolve => store.set({ ...WNS_DEFAULTS, ...profiles[name] }, resolve));
+  return true;
+}
+
+/** Delete profile `name`. The live config is left as it is. */
+async function deleteProfile(name) {
+  const { profiles, activeProfile } = await getProfiles();
+  delete profiles[name];
+  await chrome.storage.local.set({ profiles, activeProfile: activeProfile === name ? '' : activeProfile });
+}
+
+/**
+ * Normalize a site list entry to an origin ("example.com" → "https://example.com").
+ * Returns null for anything that does not parse to a real origin.
+ */
+function normalizeOrigin(entry) {
+  const raw = String(entry).trim();
+  if (!raw) return null;
+  try {
+    const { origin } = new URL(raw.includes('://') ? raw : `https://${raw}`);
+    return origin === 'null' ? null : origin;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether the resolver may run on an origin. The denylist always wins; in
+ * allowlist mode only listed origins are enabled.
+ */
+function isSiteEnabled(config, origin) {
+  if ((config.siteDenyList || []).includes(origin)) return false;
+  if (config.siteMode === 'allowlist') return (config.siteAllowList || []).includes(origin);
+  return true;
 }
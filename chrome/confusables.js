@@ -0,0 +1,134 @@
+/**
+ * Confusable names — homoglyph and mixed-script detection for resolved names.
+ *
+ * Used by background.js only. Anyone can register a name spelled with
+ * Cyrillic or Greek letters that look like Latin ones ("vitalik.wei" with a
+ * Cyrillic "а", U+0430), and sanitizeName has no reason to refuse it. checkConfusable
+ * flags such names with a reason and, where it can, the ASCII name they pass
+ * for, so content.js can mark them (or strict mode hide them).
+ *
+ * The table is a hand-picked subset of Unicode's confusables.txt (UTS #39):
+ * lowercase letters that render like a Latin letter or digit in common fonts.
+ * Keys are \u escapes on purpose — written out, they look like the ASCII
+ * they are mapped to.
+ */
+
+const CONFUSABLE_SKELETONS = {
+  // Cyrillic
+  '\u0430': 'a', // а
+  '\u0432': 'b', // в (small caps B in many fonts)
+  '\u0435': 'e', // е
+  '\u0451': 'e', // ё
+  '\u043A': 'k', // к
+  '\u043C': 'm', // м
+  '\u043D': 'h', // н
+  '\u043E': 'o', // о
+  '\u0440': 'p', // р
+  '\u0441': 'c', // с
+  '\u0442': 't', // т
+  '\u0443': 'y', // у
+  '\u0445': 'x', // х
+  '\u044C': 'b', // ь
+  '\u0455': 's', // ѕ
+  '\u0456': 'i', // і
+  '\u0457': 'i', // ї
+  '\u0458': 'j', // ј
+  '\u0461': 'w', // ѡ
+  '\u0475': 'v', // ѵ
+  '\u04AF': 'y', // ү
+  '\u04BB': 'h', // һ
+  '\u04CF': 'l', // ӏ
+  '\u04E9': 'o', // ө
+  '\u0501': 'd', // ԁ
+  '\u050D': 'g', // ԍ
+  '\u051B': 'q', // ԛ
+  '\u051D': 'w', // ԝ
+  // Greek
+  '\u03B1': 'a', // α
+  '\u03B3': 'y', // γ
+  '\u03B9': 'i', // ι
+  '\u03BA': 'k', // κ
+  '\u03BD': 'v', // ν
+  '\u03BF': 'o', // ο
+  '\u03C1': 'p', // ρ
+  '\u03C4': 't', // τ
+  '\u03C5': 'u', // υ
+  '\u03C7': 'x', // χ
+  '\u03C9': 'w', // ω
+  '\u03F2': 'c', // ϲ
+  '\u03F3': 'j', // ϳ
+  // Armenian
+  '\u0563': 'q', // գ
+  '\u0570': 'h', // հ
+  '\u0578': 'n', // ո
+  '\u057D': 'u', // ս
+  '\u0581': 'g', // ց
+  '\u0585': 'o', // օ
+  // Latin lookalikes outside ASCII
+  '\u0131': 'i', // ı dotless i
+  '\u0237': 'j', // ȷ dotless j
+  '\u0251': 'a', // ɑ
+  '\u0261': 'g', // ɡ
+  '\u0269': 'i', // ɩ
+  '\u01C0': 'l', // ǀ
+  '\u0138': 'k', // ĸ
+  '\u028F': 'y', // ʏ
+  '\u1D0F': 'o', // ᴏ
+  '\u1D1C': 'u', // ᴜ
+  '\u1D20': 'v', // ᴠ
+  '\u1D21': 'w', // ᴡ
+  '\u1D22': 'z', // ᴢ
+};
+
+/** Scripts a label may combine with Latin without being flagged (CJK writing mixes them). */
+const CJK_SCRIPTS = ['Han', 'Hiragana', 'Katakana', 'Hangul', 'Bopomofo'];
+
+const SCRIPT_RES = [
+  'Latin', 'Cyrillic', 'Greek', 'Armenian', 'Georgian', 'Cherokee', 'Arabic', 'Hebrew',
+  'Devanagari', 'Thai', ...CJK_SCRIPTS,
+].map(script => [script, new RegExp(`\\p{Script=${script}}`, 'u')]);
+const SCRIPT_NEUTRAL_RE = /[\p{Script=Common}\p{Script=Inherited}]/u;
+
+/** The script of one character: a name from SCRIPT_RES, 'Other', or null for digits, punctuation and emoji. */
+function scriptOf(ch) {
+  if (SCRIPT_NEUTRAL_RE.test(ch)) return null;
+  const match = SCRIPT_RES.find(([, re]) => re.test(ch));
+  return match ? match[0] : 'Other';
+}
+
+/** True when a label's scripts don't belong together (Latin plus CJK is fine). */
+function isMixedScript(label) {
+  const scripts = new Set();
+  for (const ch of label) {
+    const script = scriptOf(ch);
+    if (script) scripts.add(script);
+  }
+  if (scripts.size < 2) return false;
+  return [...scripts].some(script => script !== 'Latin' && !CJK_SCRIPTS.includes(script));
+}
+
+/** NFKC-normalize and lowercase a name, then map lookalikes to what they pass for. */
+function nameSkeleton(name) {
+  return [...name.normalize('NFKC').toLowerCase()].map(ch => CONFUSABLE_SKELETONS[ch] ?? ch).join('');
+}
+
+/**
+ * Check a resolved name. Returns null when it is clean, else
+ * { reason: 'mixed-script' | 'confusable', skeleton? } — `skeleton` is the
+ * ASCII name it reads as, when it reads as one. 'confusable' means every
+ * non-ASCII character is a lookalike (a whole-script spoof: all Cyrillic,
+ * yet it reads as "paypal"); 'mixed-script' that a label mixes scripts.
+ */
+function checkConfusable(name) {
+  // Checked before NFKC: fullwidth "ｄｎｚｎ" normalizes to ASCII but is a lookalike on screen
+  // eslint-disable-next-line no-control-regex
+  if (/^[\u0000-\u007F]*$/.test(name)) return null;
+  const normalized = name.normalize('NFKC').toLowerCase();
+  const skeleton = nameSkeleton(normalized);
+  // eslint-disable-next-line no-control-regex
+  const readsAsAscii = /^[\u0000-\u007F]*$/.test(skeleton);
+  if (normalized.split('.').some(isMixedScript)) {
+    return readsAsAscii ? { reason: 'mixed-script', skeleton } : { reason: 'mixed-script' };
+  }
+  return readsAsAscii ? { reason: 'confusable', skeleton } : null;
+}
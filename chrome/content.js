@@ -1,11 +1,15 @@
 /**
  * WNS Address Resolver — content script
  *
- * Replaces Ethereum address links with their WNS names. Only operates on
- * <a> elements — never modifies bare text nodes.
+ * Replaces Ethereum address links with their WNS names. Operates on <a>
+ * elements only, unless bare-address mode is enabled for the current site —
+ * then full addresses in plain text nodes are wrapped in a marked <span> and
+ * resolved through the same pipeline.
  *
  * Matching hierarchy (first match wins per anchor):
- *   1. CUSTOM    — user-defined href rules (multiple supported)
+ *   0. EXCLUDED  — hrefs excluded by a site rule pack for this host are skipped
+ *   1. CUSTOM    — user-defined href rules (multiple supported), then the
+ *                  rules of the site packs for this host (sitepacks.js)
  *   2. PRIMARY   — href contains a full 40-hex Ethereum address
  *                  (smart selection: display text > URL structure > fallback last)
  *   3. SECONDARY — display text looks like 0xABCD…1234 and the prefix/suffix
@@ -23,9 +27,47 @@ const VALID_ETH_RE = /^0x[0-9a-fA-F]{40}$/;
 
 let ETH_RE = DEFAULT_ETH_RE;
 let ABBR_RE = DEFAULT_ABBR_RE;
-let HREF_RULES = []; // array of { re: RegExp, group: number }
+let HREF_RULES = []; // array of { re: RegExp, group: number }, user rules first
+let EXCLUDE_RES = []; // href patterns from site packs; matching anchors are skipped
+
+// pickSubjectAddress scores for the address right after a path segment, as a
+// query value, or right after a string in the hash. Site packs add to these.
+const DEFAULT_SUBJECT_HINTS = {
+  path: { '/address/': 10, '/holder/': 10, '/token/': -5, '/contract/': -5 },
+  params: { a: 10, holder: 10, address: 10, token: -5, contract: -5 },
+  hash: { 'holder=': 10, 'address=': 10 },
+};
+let SUBJECT_HINTS = DEFAULT_SUBJECT_HINTS;
+let HOVER_CARD = true;
+let EXPLORER_LINKS = []; // array of { label, url } with {address} placeholder
+let ADDRESS_BOOK = new Map(); // address_lowercase → petname (see addressbook.js)
+let DISPLAY_TEMPLATE = '{name}'; // this site's display template (see renderDisplayTemplate)
+let TEXT_RECORDS = false; // show WNS avatars and text records
+let CONFUSABLE_MODE = 'mark'; // lookalike names: off | mark (strict ones never arrive)
+let LAZY_RESOLUTION = false; // resolve links only as they near the viewport
 
 const DONE_ATTR = 'data-wns-resolved';
+const VERIFIED_ATTR = 'data-wns-verified';
+const PROVIDER_ATTR = 'data-wns-provider';
+const TEXT_ATTR = 'data-wns-text';
+const PETNAME_ATTR = 'data-wns-petname';
+const BADGE_ATTR = 'data-wns-badge';
+const AVATAR_ATTR = 'data-wns-avatar';
+const CONFUSABLE_ATTR = 'data-wns-confusable';
+const WARNING_ATTR = 'data-wns-warning';
+const LOOKALIKE_ATTR = 'data-wns-lookalike';
+const LOOKALIKE_TAG_ATTR = 'data-wns-lookalike-tag';
+// Elements content.js adds in and next to anchors; the MutationObserver skips them
+const OWN_NODE_ATTRS = [BADGE_ATTR, AVATAR_ATTR, WARNING_ATTR, LOOKALIKE_TAG_ATTR];
+const OWN_NODE_SELECTOR = OWN_NODE_ATTRS.map(attr => `[${attr}]`).join(', ');
+
+// Never touch text inside these: links are handled separately, and code,
+// form controls, scripts and editable regions must keep their exact text.
+const TEXT_SKIP_SELECTOR = [
+  'a', 'code', 'pre', 'kbd', 'samp', 'script', 'style', 'noscript',
+  'textarea', 'input', 'select', 'option', 'button', 'svg',
+  '[contenteditable]:not([contenteditable="false"])', `[${TEXT_ATTR}]`,
+].join(', ');
 
 let loggingEnabled = false;
 function log(...args) { if (loggingEnabled) console.log('[WNS]', ...args); }
@@ -37,6 +79,11 @@ function parseHrefRules(raw) {
   if (!raw) return [];
   let arr;
   try { arr = JSON.parse(raw); } catch { return []; }
+  return compileHrefRules(arr);
+}
+
+/** Compile [{ pattern, group }] entries, skipping malformed ones. */
+function compileHrefRules(arr) {
   if (!Array.isArray(arr)) return [];
   const rules = [];
   for (const entry of arr) {
@@ -84,24 +131,86 @@ async function loadConfig() {
     HREF_RULES = [];
   }
 
-  log('config loaded, hrefRules:', HREF_RULES.length);
+  // Site rule packs for this host: their rules run after the user's
+  const packs = activeSitePacks(config, location.hostname);
+  HREF_RULES = HREF_RULES.concat(...packs.map(pack => compileHrefRules(pack.hrefRules)));
+  EXCLUDE_RES = packs.flatMap(pack => pack.exclude.map(pattern => new RegExp(pattern)));
+  SUBJECT_HINTS = mergeSubjectHints(packs);
+
+  HOVER_CARD = config.hoverCard !== false;
+  EXPLORER_LINKS = Array.isArray(config.explorerLinks) ? config.explorerLinks : [];
+  ADDRESS_BOOK = new Map(Object.entries(await getAddressBook()));
+  DISPLAY_TEMPLATE = displayTemplateFor(config, location.hostname);
+  TEXT_RECORDS = config.textRecords === true;
+  CONFUSABLE_MODE = config.confusableNames || WNS_DEFAULTS.confusableNames;
+  LAZY_RESOLUTION = config.lazyResolution === true && typeof IntersectionObserver === 'function';
+
+  log('config loaded, hrefRules:', HREF_RULES.length, 'site packs:', packs.map(p => p.id).join(', ') || 'none');
   return config;
 }
 
+/** Layer the subject hints of `packs` over the defaults. */
+function mergeSubjectHints(packs) {
+  const merged = {
+    path: { ...DEFAULT_SUBJECT_HINTS.path },
+    params: { ...DEFAULT_SUBJECT_HINTS.params },
+    hash: { ...DEFAULT_SUBJECT_HINTS.hash },
+  };
+  for (const { subjectHints = {} } of packs) {
+    Object.assign(merged.path, subjectHints.path);
+    Object.assign(merged.params, subjectHints.params);
+    Object.assign(merged.hash, subjectHints.hash);
+  }
+  return merged;
+}
+
+/** True when a site pack for this host excludes the href. */
+function isExcludedHref(href) {
+  return EXCLUDE_RES.some(re => re.test(href));
+}
+
 // ─── Background communication ─────────────────────────────────────────────────
 
+/**
+ * Ask the background to resolve addresses. Returns { records, lookalikes }:
+ * Map<address_lowercase, { name, verified?, … }> and
+ * Map<address_lowercase, { trusted, label? }> of suspected poisoning addresses.
+ */
 async function resolveAddresses(addresses) {
   log('sending RESOLVE for', addresses.length, 'addresses');
   try {
     const response = await chrome.runtime.sendMessage({ type: 'RESOLVE', addresses });
     log('response:', response);
-    return new Map(Object.entries(response?.names ?? {}));
+    return {
+      records: new Map(Object.entries(response?.records ?? {})),
+      lookalikes: new Map(Object.entries(response?.lookalikes ?? {})),
+    };
   } catch (err) {
     log('sendMessage error:', err.message);
-    return new Map();
+    return { records: new Map(), lookalikes: new Map() };
   }
 }
 
+/** Tell the background the user copied or filled in an address (it becomes trusted). */
+function reportAddressUsed(address) {
+  chrome.runtime.sendMessage({ type: 'TRUST_ADDRESS', address }).catch(() => {});
+}
+
+/**
+ * True for real user input, false for events dispatched by page script. Only
+ * user input may lead to reportAddressUsed. Tests replace this, as they
+ * cannot dispatch trusted events.
+ */
+function isUserEvent(e) {
+  return e.isTrusted;
+}
+
+/** Report scan counts for the popup's per-tab activity view. */
+function reportScan(scanned, matched) {
+  if (!scanned) return;
+  chrome.runtime.sendMessage({ type: 'REPORT_SCAN', scanned, matched }).catch(() => {});
+}
+
 // ─── Address extraction from hrefs ───────────────────────────────────────────
 
 /** Return all full Ethereum addresses found in a URL string. */
@@ -178,26 +287,28 @@ function pickSubjectAddress(href, addresses, displayText) {
     for (const addr of addresses) {
       let score = 0;
 
-      // Path segment signals
+      // Path segment signals (e.g. /address/0x..., /token/0x...)
       const pathLower = url.pathname.toLowerCase();
       const addrIdx = pathLower.indexOf(addr);
       if (addrIdx !== -1) {
         const before = pathLower.substring(0, addrIdx);
-        if (before.endsWith('/address/') || before.endsWith('/holder/')) score += 10;
-        if (before.endsWith('/token/') || before.endsWith('/contract/')) score -= 5;
+        for (const [segment, value] of Object.entries(SUBJECT_HINTS.path)) {
+          if (before.endsWith(segment)) score += value;
+        }
       }
 
-      // Query param signals
+      // Query param signals (e.g. ?a=0x...)
       for (const [key, val] of url.searchParams) {
         if (val.toLowerCase() !== addr) continue;
-        if (['a', 'holder', 'address'].includes(key.toLowerCase())) score += 10;
-        if (['token', 'contract'].includes(key.toLowerCase())) score -= 5;
+        const param = key.toLowerCase();
+        if (Object.hasOwn(SUBJECT_HINTS.params, param)) score += SUBJECT_HINTS.params[param];
       }
 
       // Hash signals (e.g. Etherscan #balances?holder=0x...)
       if (hashStr.includes(addr)) {
-        if (hashStr.includes('holder=' + addr)) score += 10;
-        if (hashStr.includes('address=' + addr)) score += 10;
+        for (const [prefix, value] of Object.entries(SUBJECT_HINTS.hash)) {
+          if (hashStr.includes(prefix + addr)) score += value;
+        }
       }
 
       scores.set(addr, score);
@@ -223,6 +334,9 @@ function pickSubjectAddress(href, addresses, displayText) {
 
 // ─── Link collection ──────────────────────────────────────────────────────────
 
+// Anchors examined since the last REPORT_SCAN
+let anchorsScanned = 0;
+
 /**
  * Scan root for <a> elements that contain an Ethereum address — either in the
  * href directly (primary) or matched via abbreviated display text (secondary).
@@ -237,38 +351,117 @@ function collectEthereumLinks(root, addressSet) {
   // root itself may be an <a> (when MutationObserver fires on a directly added anchor)
   const candidates = root.querySelectorAll ? [...root.querySelectorAll(`a:not([${DONE_ATTR}])`)] : [];
   if (root.tagName === 'A' && !root.hasAttribute(DONE_ATTR)) candidates.unshift(root);
+  anchorsScanned += candidates.length;
 
   for (const anchor of candidates) {
-    // Use .href (fully resolved URL) so relative hrefs like ?a=0x... expand correctly
-    const href = anchor.href || '';
-
-    // CUSTOM: user-defined href rules (multiple supported, first valid wins)
-    if (HREF_RULES.length) {
-      const ruleMatch = matchHrefRules(href);
-      if (ruleMatch) {
-        addressSet.add(ruleMatch);
-        results.push({ anchor, fullAddress: ruleMatch });
-        continue;
-      }
-    }
+    const fullAddress = matchAnchor(anchor);
+    if (!fullAddress) continue;
+    addressSet.add(fullAddress);
+    results.push({ anchor, fullAddress });
+  }
 
-    // PRIMARY: full address anywhere in the href
-    const hrefAddresses = allAddressesInHref(href);
-    if (hrefAddresses.length) {
-      const displayText = anchor.textContent.trim();
-      const fullAddress = pickSubjectAddress(href, hrefAddresses, displayText);
-      addressSet.add(fullAddress);
-      results.push({ anchor, fullAddress });
-      continue;
-    }
+  return results;
+}
+
+/**
+ * The address an anchor stands for, or null when it has none. `displayText`
+ * defaults to the anchor's text; pass the original text of a replaced anchor.
+ */
+function matchAnchor(anchor, displayText = anchor.textContent.trim()) {
+  // Use .href (fully resolved URL) so relative hrefs like ?a=0x... expand correctly
+  const href = anchor.href || '';
+
+  // EXCLUDED: non-account addresses on this host (site packs)
+  if (EXCLUDE_RES.length && isExcludedHref(href)) return null;
+
+  // CUSTOM: user-defined and site pack href rules (first valid wins)
+  if (HREF_RULES.length) {
+    const ruleMatch = matchHrefRules(href);
+    if (ruleMatch) return ruleMatch;
+  }
+
+  // PRIMARY: full address anywhere in the href
+  const hrefAddresses = allAddressesInHref(href);
+  if (hrefAddresses.length) return pickSubjectAddress(href, hrefAddresses, displayText);
 
-    // SECONDARY: display text is abbreviated and matches an address in the href
-    const displayText = anchor.textContent.trim();
-    const matched = matchAbbrToHref(displayText, href);
-    if (matched) {
-      addressSet.add(matched);
-      results.push({ anchor, fullAddress: matched });
+  // SECONDARY: display text is abbreviated and matches an address in the href
+  return matchAbbrToHref(displayText, href);
+}
+
+// ─── Bare-address collection (opt-in per site) ───────────────────────────────
+
+/** True when bare-address mode is enabled for the current page's origin. */
+function isTextModeSite(config) {
+  // Entries saved as bare hostnames by older versions read as https:// origins
+  return (config.textNodeSites || []).map(normalizeOrigin).includes(location.origin);
+}
+
+/**
+ * The element under root whose text may hold bare addresses, or null when
+ * there is none (design mode, or root inside a skipped element).
+ */
+function textScanRoot(root) {
+  if (document.designMode === 'on') return null;
+  const rootEl = root.nodeType === Node.ELEMENT_NODE ? root : root.parentElement;
+  return rootEl && !rootEl.closest(TEXT_SKIP_SELECTOR) ? rootEl : null;
+}
+
+/**
+ * True for text nodes that contain an address and are outside links, code,
+ * form controls, scripts and editable regions.
+ */
+function isAddressText(node) {
+  const parent = node.parentElement;
+  if (!parent || parent.closest(TEXT_SKIP_SELECTOR)) return false;
+  ETH_RE.lastIndex = 0;
+  return ETH_RE.test(node.data);
+}
+
+/**
+ * Find full addresses in plain text nodes under root and wrap each one in a
+ * <span TEXT_ATTR> so it can be resolved and replaced like a link.
+ *
+ * Returns [{ anchor: span, fullAddress }], and populates addressSet.
+ */
+function collectTextAddresses(root, addressSet) {
+  const rootEl = textScanRoot(root);
+  if (!rootEl) return [];
+
+  // Collect first, then split — mutating while walking confuses the walker
+  const textNodes = [];
+  const walker = document.createTreeWalker(rootEl, NodeFilter.SHOW_TEXT, {
+    acceptNode: node => (isAddressText(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT),
+  });
+  let node;
+  while ((node = walker.nextNode())) textNodes.push(node);
+  return wrapTextAddresses(textNodes, addressSet);
+}
+
+/** Wrap the addresses in `textNodes`; same results as collectTextAddresses. */
+function wrapTextAddresses(textNodes, addressSet) {
+  const results = [];
+  for (const textNode of textNodes) {
+    const text = textNode.data;
+    const frag = document.createDocumentFragment();
+    let last = 0;
+    let m;
+    ETH_RE.lastIndex = 0;
+    while ((m = ETH_RE.exec(text)) !== null) {
+      if (!VALID_ETH_RE.test(m[0])) continue;
+      if (m.index > last) frag.appendChild(document.createTextNode(text.slice(last, m.index)));
+      const span = document.createElement('span');
+      span.setAttribute(TEXT_ATTR, '');
+      span.textContent = m[0];
+      frag.appendChild(span);
+
+      const fullAddress = m[0].toLowerCase();
+      addressSet.add(fullAddress);
+      results.push({ anchor: span, fullAddress });
+      last = m.index + m[0].length;
     }
+    if (last === 0) continue;
+    if (last < text.length) frag.appendChild(document.createTextNode(text.slice(last)));
+    textNode.replaceWith(frag);
   }
 
   return results;
@@ -276,8 +469,48 @@ function collectEthereumLinks(root, addressSet) {
 
 // ─── Replacement ──────────────────────────────────────────────────────────────
 
-function replaceAnchor(anchor, fullAddress, nameMap, replaceEns, ignoreSet) {
-  const name = nameMap.get(fullAddress);
+// Replaced element → { address, record, textNode, original, name, petname,
+// display, badge, avatar, warning }. Lets the hover card recover the original
+// address without exposing it to the page via attributes, and the reveal
+// toggle swap the text back and forth. `record` is undefined when only an
+// address book label applies; `display` is the filled-in display template,
+// `badge` its badge element, `avatar` the avatar icon and `warning` the
+// lookalike-name marker, if any.
+const replacedInfo = new WeakMap();
+
+// Marked element → the page's own inline values of the style properties
+// content.js set on it, put back when the mark goes
+const pageStyles = new WeakMap();
+
+/** Set inline style properties, remembering the page's own values the first time. */
+function setMarkStyle(el, props) {
+  const saved = pageStyles.get(el) ?? {};
+  for (const [prop, value] of Object.entries(props)) {
+    if (!(prop in saved)) saved[prop] = el.style[prop];
+    el.style[prop] = value;
+  }
+  pageStyles.set(el, saved);
+}
+
+/** Restore the page's own inline values of `props` set through setMarkStyle. */
+function restoreMarkStyle(el, props) {
+  const saved = pageStyles.get(el);
+  if (!saved) return;
+  for (const prop of props) {
+    if (!(prop in saved)) continue;
+    el.style[prop] = saved[prop];
+    delete saved[prop];
+  }
+}
+
+/**
+ * Replace the address text of a matched anchor (or bare-address span) with its
+ * address book label, else its resolved name.
+ */
+function replaceAnchor(anchor, fullAddress, recordMap, replaceEns, ignoreSet) {
+  const record = recordMap.get(fullAddress);
+  const petname = ADDRESS_BOOK.get(fullAddress);
+  const name = petname || record?.name;
   if (!name) return;
 
   const displayText = anchor.textContent.trim();
@@ -293,17 +526,762 @@ function replaceAnchor(anchor, fullAddress, nameMap, replaceEns, ignoreSet) {
   }
   log(`displayText: ${displayText} -> ${name}`);
 
-  // Find the text node containing the address and replace just its text
+  // Find the text node containing the address; only its text is replaced
+  // (and not at all while the tab is showing original addresses)
   const walker = document.createTreeWalker(anchor, NodeFilter.SHOW_TEXT);
   let node;
   while ((node = walker.nextNode())) {
-    if (node.textContent.trim()) {
-      node.textContent = name;
-      break;
-    }
+    if (node.textContent.trim()) break;
   }
+  const original = node.textContent;
 
   anchor.setAttribute(DONE_ATTR, '');
+  const info = { address: fullAddress, record, textNode: node, original, name, petname, display: name, badge: null, avatar: null, warning: null };
+  replacedInfo.set(anchor, info);
+  applyDisplayTemplate(info);
+  styleReplacement(anchor, info);
+  applyAvatar(anchor, info);
+  watchText(anchor);
+}
+
+/**
+ * Undo a replacement: remove its badge, avatar, warning, marks and info, and
+ * put the original text back — unless `keepText`, when the page has already
+ * replaced the text itself.
+ */
+function revertReplacement(el, info, keepText = false) {
+  if (!keepText) info.textNode.textContent = info.original;
+  info.badge?.remove();
+  info.warning?.remove();
+  removeAvatar(info);
+  for (const attr of [DONE_ATTR, PETNAME_ATTR, PROVIDER_ATTR, VERIFIED_ATTR, CONFUSABLE_ATTR]) el.removeAttribute(attr);
+  restoreMarkStyle(el, ['fontStyle', 'textDecoration']);
+  replacedInfo.delete(el);
+}
+
+/**
+ * Mark a replaced element as showing a petname (italic, no provider,
+ * verification or lookalike marks — the label is the user's own) or an
+ * on-chain name. Safe to call again when an address book change flips one to
+ * the other.
+ */
+function styleReplacement(anchor, info) {
+  for (const attr of [PETNAME_ATTR, PROVIDER_ATTR, VERIFIED_ATTR, CONFUSABLE_ATTR]) anchor.removeAttribute(attr);
+  restoreMarkStyle(anchor, ['fontStyle', 'textDecoration']);
+  if (info.petname) {
+    anchor.setAttribute(PETNAME_ATTR, '');
+    setMarkStyle(anchor, { fontStyle: 'italic' });
+  } else {
+    if (info.record.provider) anchor.setAttribute(PROVIDER_ATTR, info.record.provider);
+    markVerification(anchor, info.record.verified);
+  }
+  markConfusable(anchor, info);
+}
+
+/**
+ * Record the forward-verification result on a replaced anchor. Only present
+ * when verification is enabled; unverified names get a dotted underline and
+ * an explanatory tooltip so they can't pass for verified ones.
+ */
+function markVerification(anchor, verified) {
+  if (typeof verified !== 'boolean') return;
+  anchor.setAttribute(VERIFIED_ATTR, String(verified));
+  if (!verified) {
+    setMarkStyle(anchor, { textDecoration: 'underline dotted' });
+    // The hover card already says so; only fall back to a tooltip without it
+    if (!HOVER_CARD) anchor.title = 'Unverified WNS name: its forward record does not point back to this address';
+  }
+}
+
+const WARNING_STYLE = 'margin-right:2px;color:#c62828;font-style:normal;cursor:help;';
+
+/** Hover card and tooltip text for a lookalike-name result from the background. */
+function confusableMessage({ reason, skeleton }) {
+  const what = reason === 'mixed-script' ? 'Mixes alphabets' : 'Lookalike characters';
+  return skeleton ? `${what}: reads as ${skeleton} but is a different name` : `${what}: may imitate another name`;
+}
+
+/**
+ * Flag an on-chain name with lookalike or mixed-script characters (see
+ * confusables.js): a red wavy underline and a ⚠ marker in front of it, hidden
+ * while the tab is revealed. Strict mode names never get this far.
+ */
+function markConfusable(anchor, info) {
+  const confusable = CONFUSABLE_MODE !== 'off' && !info.petname && info.record?.confusable;
+  if (!confusable) {
+    info.warning?.remove();
+    info.warning = null;
+    return;
+  }
+  anchor.setAttribute(CONFUSABLE_ATTR, confusable.reason);
+  setMarkStyle(anchor, { textDecoration: 'underline wavy #c62828' });
+  if (!info.warning) {
+    info.warning = document.createElement('span');
+    info.warning.setAttribute(WARNING_ATTR, '');
+    info.warning.style.cssText = WARNING_STYLE;
+    info.warning.textContent = '\u26A0';
+    info.warning.hidden = revealed;
+    info.textNode.before(info.warning);
+  }
+  // The hover card already says so; only fall back to a tooltip without it
+  if (!HOVER_CARD) info.warning.title = confusableMessage(confusable);
+}
+
+// ─── Display templates ───────────────────────────────────────────────────────
+
+/*
+ * A template is plain text with {name}, {short} (0x1234…abcd), {address} (full
+ * checksummed) and, at the very end only, {badge} — a small WNS/ENS/label tag.
+ * Output is only ever assigned with textContent: names are untrusted on-chain
+ * data and templates come from settings files.
+ */
+
+const BADGE_TOKEN = '{badge}';
+const BADGE_STYLE = 'margin-left:4px;padding:0 4px;border-radius:3px;'
+  + 'background:#eef3ff;color:#3355aa;font:600 0.7em/1.5 system-ui,sans-serif;vertical-align:middle;';
+
+/** The most specific per-site template for `hostname` (subdomains included), else the global one. */
+function displayTemplateFor(config, hostname) {
+  const matches = (config.siteDisplayTemplates || [])
+    .filter(entry => entry?.template && hostMatches(hostname, entry.host))
+    .sort((a, b) => b.host.length - a.host.length);
+  return matches[0]?.template || config.displayTemplate || '{name}';
+}
+
+/** Fill in a template. Returns { text, badge } where `badge` says whether it ends with {badge}. */
+function renderDisplayTemplate(template, name, address) {
+  const badge = template.endsWith(BADGE_TOKEN);
+  const body = badge ? template.slice(0, -BADGE_TOKEN.length).trimEnd() : template;
+  let checksummed = null;
+  const text = body.replace(/\{(name|short|address)\}/g, (_, token) => {
+    if (token === 'name') return name;
+    checksummed ??= checksumAddress(address);
+    return token === 'short' ? `${checksummed.slice(0, 6)}…${checksummed.slice(-4)}` : checksummed;
+  });
+  return { text, badge };
+}
+
+/** Recompute an element's display text and badge from its name, then show them. */
+function applyDisplayTemplate(info) {
+  const { text, badge } = renderDisplayTemplate(DISPLAY_TEMPLATE, info.name, info.address);
+  info.display = text;
+  if (badge) {
+    if (!info.badge) {
+      info.badge = document.createElement('span');
+      info.badge.setAttribute(BADGE_ATTR, '');
+      info.badge.style.cssText = BADGE_STYLE;
+      info.textNode.after(info.badge);
+    }
+    info.badge.textContent = info.petname ? 'label' : info.record.provider === 'ens' ? 'ENS' : 'WNS';
+  } else if (info.badge) {
+    info.badge.remove();
+    info.badge = null;
+  }
+  showDisplay(info);
+}
+
+/** Show the display text, badge and avatar, or the original text while the tab is revealed. */
+function showDisplay(info) {
+  info.textNode.textContent = revealed ? info.original : info.display;
+  if (info.badge) info.badge.hidden = revealed;
+  if (info.avatar) info.avatar.hidden = revealed;
+  if (info.warning) info.warning.hidden = revealed;
+}
+
+// ─── Avatars ─────────────────────────────────────────────────────────────────
+
+/*
+ * With text records on, an on-chain name whose WNS avatar record the
+ * background could load gets a small icon in front of it. The background
+ * fetches and checks the image and hands it over as a data: URL; on pages
+ * whose CSP blocks data: images the icon is simply left out.
+ */
+
+const AVATAR_STYLE = 'width:16px;height:16px;margin-right:3px;border-radius:50%;'
+  + 'object-fit:cover;vertical-align:text-bottom;';
+
+const avatarRequests = new Map(); // address → Promise<data URL | null>, one request per address
+
+function requestAvatar(address) {
+  if (!avatarRequests.has(address)) {
+    avatarRequests.set(address, chrome.runtime.sendMessage({ type: 'GET_AVATAR', address })
+      .then(response => response?.dataUrl ?? null, () => null));
+  }
+  return avatarRequests.get(address);
+}
+
+/** Add the avatar icon to a replaced element, when its on-chain name has an avatar record. */
+async function applyAvatar(anchor, info) {
+  if (!TEXT_RECORDS || info.petname || info.avatar || !info.record?.textRecords?.avatar) return;
+  const dataUrl = await requestAvatar(info.address);
+  // The element may have been relabelled or reverted while the image loaded
+  if (!dataUrl?.startsWith('data:image/') || replacedInfo.get(anchor) !== info || info.petname || info.avatar) return;
+  const img = document.createElement('img');
+  img.setAttribute(AVATAR_ATTR, '');
+  img.alt = '';
+  img.style.cssText = AVATAR_STYLE;
+  img.hidden = revealed;
+  img.addEventListener('error', () => removeAvatar(info));
+  img.src = dataUrl;
+  info.textNode.before(img);
+  info.avatar = img;
+}
+
+function removeAvatar(info) {
+  info.avatar?.remove();
+  info.avatar = null;
+}
+
+// ─── Lookalike addresses ─────────────────────────────────────────────────────
+
+/*
+ * Addresses the background found to start and end like a trusted address
+ * (address poisoning, see background.js) get a red "⚠ Lookalike" tag in
+ * front of the link and a red outline, whether or not they have a name. The
+ * trusted address is only named in the hover card, never in the page's DOM
+ * where page scripts could read it.
+ */
+
+const LOOKALIKE_TAG_STYLE = 'margin-right:4px;padding:0 4px;border-radius:3px;background:#c62828;color:#fff;'
+  + 'font:600 0.75em/1.5 system-ui,sans-serif;vertical-align:middle;cursor:help;';
+
+// Flagged element → { address, trusted, label?, tag }
+const lookalikeInfo = new WeakMap();
+
+function markLookalike(anchor, address, lookalike) {
+  if (lookalikeInfo.has(anchor)) return;
+  const tag = document.createElement('span');
+  tag.setAttribute(LOOKALIKE_TAG_ATTR, '');
+  tag.style.cssText = LOOKALIKE_TAG_STYLE;
+  tag.textContent = '\u26A0 Lookalike';
+  tag.title = 'Possible address poisoning: this address imitates one you trust';
+  anchor.before(tag);
+  anchor.setAttribute(LOOKALIKE_ATTR, '');
+  setMarkStyle(anchor, { outline: '2px solid #c62828' });
+  lookalikeInfo.set(anchor, { address, ...lookalike, tag });
+  watchText(anchor);
+}
+
+function unmarkLookalike(anchor) {
+  lookalikeInfo.get(anchor)?.tag.remove();
+  lookalikeInfo.delete(anchor);
+  anchor.removeAttribute(LOOKALIKE_ATTR);
+  restoreMarkStyle(anchor, ['outline']);
+}
+
+/** Hover card text naming the trusted address a lookalike imitates. */
+function lookalikeMessage({ trusted, label }) {
+  const known = label ? `${label} (${checksumAddress(trusted)})` : checksumAddress(trusted);
+  return `Starts and ends like ${known}, but is a different address. This may be address poisoning: compare every character before sending anything.`;
+}
+
+// ─── Hover card ───────────────────────────────────────────────────────────────
+
+/*
+ * One shared card, rendered into a closed shadow root so page CSS and scripts
+ * can neither restyle nor read it. Built with textContent only — names are
+ * untrusted on-chain data.
+ */
+
+const HOVER_CARD_CSS = `
+  :host { all: initial; }
+  .card {
+    position: fixed; z-index: 2147483647; max-width: 360px;
+    padding: 8px 10px; border: 1px solid #ccc; border-radius: 6px;
+    background: #fff; color: #1a1a1a; box-shadow: 0 4px 14px rgba(0,0,0,0.15);
+    font: 12px/1.4 system-ui, sans-serif; display: none;
+  }
+  .card.visible { display: block; }
+  .name { font-weight: 600; font-size: 13px; }
+  .addr { font-family: monospace; font-size: 11px; word-break: break-all; user-select: all; margin: 2px 0 6px; }
+  .meta { color: #777; }
+  .warn { color: #b35c00; }
+  .text-record { color: #555; word-break: break-all; }
+  .row { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; margin-top: 6px; }
+  button {
+    font: inherit; padding: 2px 8px; cursor: pointer;
+    border: 1px solid #ccc; border-radius: 4px; background: #fff; color: #1a1a1a;
+  }
+  button:hover { background: #f5f5f5; }
+  input {
+    font: inherit; width: 100%; box-sizing: border-box; margin: 2px 0; padding: 3px 6px;
+    border: 1px solid #ccc; border-radius: 4px; background: #fff; color: #1a1a1a;
+  }
+  a { color: #0070f3; text-decoration: none; }
+  a:hover { text-decoration: underline; }
+`;
+
+let hoverCard = null; // { host, card, hideTimer, editing }
+
+function getHoverCard() {
+  if (hoverCard) return hoverCard;
+  const host = document.createElement('div');
+  const shadow = host.attachShadow({ mode: 'closed' });
+  const style = document.createElement('style');
+  style.textContent = HOVER_CARD_CSS;
+  const card = document.createElement('div');
+  card.className = 'card';
+  shadow.append(style, card);
+  card.addEventListener('mouseenter', () => clearTimeout(hoverCard.hideTimer));
+  card.addEventListener('mouseleave', scheduleHideHoverCard);
+  document.documentElement.appendChild(host);
+  hoverCard = { host, card, hideTimer: null, editing: null };
+  return hoverCard;
+}
+
+/** Human-readable age of a resolution timestamp. */
+function formatAge(t) {
+  const mins = Math.floor((Date.now() - t) / 60000);
+  if (!(mins >= 1)) return 'just now';
+  if (mins < 60) return `${mins} min ago`;
+  const hours = Math.floor(mins / 60);
+  return hours < 48 ? `${hours} h ago` : `${Math.floor(hours / 24)} d ago`;
+}
+
+/** Copy text to the clipboard, falling back to execCommand on older pages. */
+async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch {
+    const ta = document.createElement('textarea');
+    ta.value = text;
+    ta.style.position = 'fixed';
+    ta.style.opacity = '0';
+    document.documentElement.appendChild(ta);
+    ta.select();
+    const ok = document.execCommand('copy');
+    ta.remove();
+    return ok;
+  }
+}
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+function showHoverCard(target) {
+  // An open label editor stays until it is saved or cancelled
+  if (hoverCard?.editing) return;
+  const info = replacedInfo.get(target);
+  const lookalike = lookalikeInfo.get(target);
+  if (!info && !lookalike) return;
+  const { card } = getHoverCard();
+  clearTimeout(hoverCard.hideTimer);
+
+  const address = info?.address ?? lookalike.address;
+  const record = info?.record;
+  const checksummed = checksumAddress(address);
+  card.replaceChildren();
+  card.append(el('div', 'name', info ? info.name : 'Lookalike address'), el('div', 'addr', checksummed));
+  if (lookalike) card.append(el('div', 'warn', lookalikeMessage(lookalike)));
+
+  if (info?.petname) {
+    card.append(el('div', 'meta', record?.name ? `Address book label · on-chain name ${record.name}` : 'Address book label'));
+  } else if (record) {
+    const system = record.provider === 'ens' ? 'ENS' : 'WNS';
+    const source = `${system} · ${record.source === 'cache' ? 'from cache' : 'from RPC'}`;
+    card.append(el('div', 'meta', record.resolvedAt ? `${source} · ${formatAge(record.resolvedAt)}` : source));
+    if (record.verified === true) card.append(el('div', 'meta', 'Forward record verified'));
+    if (record.verified === false) card.append(el('div', 'warn', 'Unverified: forward record does not point back to this address'));
+  }
+  if (CONFUSABLE_MODE !== 'off' && record?.confusable) card.append(el('div', 'warn', confusableMessage(record.confusable)));
+  if (TEXT_RECORDS && record?.textRecords) {
+    // Shown as text, never as links: anyone can set them to anything
+    for (const [key, value] of Object.entries(record.textRecords)) {
+      if (key !== 'avatar') card.append(el('div', 'text-record', `${key}: ${value}`));
+    }
+  }
+
+  const row = el('div', 'row');
+  // No one-click copy for a lookalike: copying it is what the scam is after
+  if (!lookalike) {
+    const copyBtn = el('button', null, 'Copy address');
+    copyBtn.type = 'button';
+    copyBtn.addEventListener('click', async (e) => {
+      const copied = await copyText(checksummed);
+      copyBtn.textContent = copied ? 'Copied' : 'Copy failed';
+      if (copied && isUserEvent(e)) reportAddressUsed(address);
+    });
+    row.append(copyBtn);
+  }
+  const labelBtn = el('button', null, info?.petname ? 'Edit label' : 'Label…');
+  labelBtn.type = 'button';
+  labelBtn.addEventListener('click', () => editPetname(address, target));
+  row.append(labelBtn);
+  for (const link of EXPLORER_LINKS) {
+    if (!link?.label || typeof link.url !== 'string' || !link.url.startsWith('https://')) continue;
+    const a = el('a', null, link.label);
+    a.href = link.url.replaceAll('{address}', checksummed);
+    a.target = '_blank';
+    a.rel = 'noopener noreferrer';
+    row.append(a);
+  }
+  card.append(row);
+  placeHoverCard(target);
+}
+
+/**
+ * Show the card below `target`, flipped above when it would run off the
+ * viewport; without a target, at the top centre of the viewport.
+ */
+function placeHoverCard(target) {
+  const { card } = hoverCard;
+  card.classList.add('visible');
+  const height = card.offsetHeight;
+  if (!target?.isConnected) {
+    card.style.top = '16px';
+    card.style.left = `${Math.max(4, (window.innerWidth - card.offsetWidth) / 2)}px`;
+    return;
+  }
+  const rect = target.getBoundingClientRect();
+  const top = rect.bottom + 6 + height > window.innerHeight ? rect.top - 6 - height : rect.bottom + 6;
+  card.style.top = `${Math.max(4, top)}px`;
+  card.style.left = `${Math.max(4, Math.min(rect.left, window.innerWidth - card.offsetWidth - 4))}px`;
+}
+
+function scheduleHideHoverCard() {
+  if (!hoverCard || hoverCard.editing) return;
+  clearTimeout(hoverCard.hideTimer);
+  hoverCard.hideTimer = setTimeout(() => hoverCard.card.classList.remove('visible'), 250);
+}
+
+/** Delegated listeners — one pair for the whole document, not per anchor. */
+function installHoverCard() {
+  const selector = `[${DONE_ATTR}], [${LOOKALIKE_ATTR}]`;
+  document.addEventListener('mouseover', (e) => {
+    if (!HOVER_CARD) return;
+    const target = e.target instanceof Element && e.target.closest(selector);
+    if (target && !target.contains(e.relatedTarget)) showHoverCard(target);
+  });
+  document.addEventListener('mouseout', (e) => {
+    const target = e.target instanceof Element && e.target.closest(selector);
+    if (target && !target.contains(e.relatedTarget)) scheduleHideHoverCard();
+  });
+}
+
+// ─── Context menu support ────────────────────────────────────────────────────
+
+// Replaced element under the last right-click, for "Copy original address"
+let contextTarget = null;
+
+/**
+ * Remember whether a right-click landed on a replaced anchor, and answer the
+ * background's context menu requests: the original address, and clipboard
+ * writes, which the service worker cannot do itself.
+ */
+function installContextMenuSupport() {
+  document.addEventListener('contextmenu', (e) => {
+    const target = e.target instanceof Element && e.target.closest(`[${DONE_ATTR}]`);
+    contextTarget = target && replacedInfo.has(target) ? target : null;
+  }, true);
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type === 'GET_CONTEXT_ADDRESS') {
+      const info = contextTarget && replacedInfo.get(contextTarget);
+      sendResponse({ address: info ? checksumAddress(info.address) : null });
+      return false;
+    }
+    if (message.type === 'COPY_TEXT' && typeof message.text === 'string') {
+      copyText(message.text).then(ok => sendResponse({ ok }));
+      return true;
+    }
+    if (message.type === 'EDIT_PETNAME' && VALID_ETH_RE.test(message.address)) {
+      const address = message.address.toLowerCase();
+      const target = replacedInfo.get(contextTarget)?.address === address ? contextTarget : null;
+      editPetname(address, target).then(saved => sendResponse({ saved }));
+      return true;
+    }
+    return false;
+  });
+}
+
+// ─── Address book ────────────────────────────────────────────────────────────
+
+/**
+ * Ask for a new label for `address` (lowercase) in the hover card, next to
+ * `target` when given; an empty answer removes it. Resolves to true when the
+ * book was changed. The storage change then reaches every frame through
+ * installAddressBookSync.
+ */
+async function editPetname(address, target) {
+  const current = ADDRESS_BOOK.get(address) ?? '';
+  const label = await askPetname(address, current, target);
+  if (label === null || cleanPetname(label) === current) return false;
+  await setPetname(address, label);
+  return true;
+}
+
+/**
+ * Label editor in the hover card. Unlike window.prompt, which pages can
+ * override or suppress, the closed shadow root keeps the field out of the
+ * page's reach. Resolves to the entered text, or null when cancelled —
+ * including by a newer edit.
+ */
+function askPetname(address, current, target) {
+  const { card } = getHoverCard();
+  clearTimeout(hoverCard.hideTimer);
+  hoverCard.editing?.(null);
+
+  return new Promise((resolve) => {
+    const finish = (label) => {
+      if (hoverCard.editing !== finish) return;
+      hoverCard.editing = null;
+      card.classList.remove('visible');
+      resolve(label);
+    };
+    hoverCard.editing = finish;
+
+    const input = el('input');
+    input.type = 'text';
+    input.value = current;
+    input.maxLength = PETNAME_MAX_LENGTH;
+    input.setAttribute('aria-label', 'Address book label');
+    input.addEventListener('keydown', (e) => {
+      // Keep page keyboard shortcuts from seeing the typing
+      e.stopPropagation();
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        finish(input.value);
+      } else if (e.key === 'Escape') {
+        finish(null);
+      }
+    });
+    const saveBtn = el('button', null, 'Save');
+    saveBtn.type = 'button';
+    saveBtn.addEventListener('click', () => finish(input.value));
+    const cancelBtn = el('button', null, 'Cancel');
+    cancelBtn.type = 'button';
+    cancelBtn.addEventListener('click', () => finish(null));
+    const row = el('div', 'row');
+    row.append(saveBtn, cancelBtn);
+
+    card.replaceChildren(
+      el('div', 'name', current ? 'Edit address book label' : 'Address book label'),
+      el('div', 'addr', checksumAddress(address)),
+      input,
+      el('div', 'meta', 'Leave empty to remove the label'),
+      row,
+    );
+    placeHoverCard(target);
+    input.focus();
+    input.select();
+  });
+}
+
+/**
+ * Apply the current address book to already replaced elements: labels that
+ * changed are swapped in, removed ones fall back to the on-chain name or the
+ * original text. When `rescan` is set (addresses were newly labelled), links
+ * that had no name before are picked up by a rescan.
+ */
+function refreshPetnames(rescan) {
+  // A labelled address is trusted, so it is no longer a lookalike
+  for (const el of document.querySelectorAll(`[${LOOKALIKE_ATTR}]`)) {
+    if (ADDRESS_BOOK.has(lookalikeInfo.get(el)?.address)) unmarkLookalike(el);
+  }
+  for (const el of document.querySelectorAll(`[${DONE_ATTR}]`)) {
+    const info = replacedInfo.get(el);
+    if (!info) continue;
+    const petname = ADDRESS_BOOK.get(info.address);
+    if (petname === info.petname) continue;
+    const name = petname || info.record?.name;
+    if (!name) {
+      revertReplacement(el, info);
+      continue;
+    }
+    Object.assign(info, { name, petname });
+    applyDisplayTemplate(info);
+    styleReplacement(el, info);
+    if (petname) removeAvatar(info);
+    else applyAvatar(el, info);
+  }
+  if (rescan) processRoot(document.body);
+}
+
+/** Follow address book edits made on the options page or in another tab. */
+function installAddressBookSync() {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || !changes[ADDRESS_BOOK_KEY]) return;
+    const previous = ADDRESS_BOOK;
+    ADDRESS_BOOK = new Map(Object.entries(changes[ADDRESS_BOOK_KEY].newValue ?? {}));
+    refreshPetnames([...ADDRESS_BOOK.keys()].some(address => !previous.has(address)));
+  });
+}
+
+// ─── Name input helper (opt-in per origin) ───────────────────────────────────
+
+/*
+ * Typing a .wei name into an address field (recipient, "to", "0x…"
+ * placeholder) shows the resolved address under it; Enter or "Use address"
+ * fills it in. The suggestion lives in a closed shadow root like the hover
+ * card, so the page can neither read nor restyle it before the user confirms.
+ */
+
+const NAME_INPUT_RE = /^[^\s.]+(\.[^\s.]+)*\.wei$/i;
+const ADDRESS_FIELD_HINT_RE = /address|recipient|receiver|destination|wallet|\bto\b|\bens\b|^\s*0x/i;
+const NAME_INPUT_DEBOUNCE_MS = 300;
+
+const NAME_SUGGESTION_CSS = HOVER_CARD_CSS + `
+  .card { max-width: 420px; }
+  .hint { color: #777; font-size: 11px; }
+`;
+
+let nameSuggestion = null; // { host, card, input, name, address }
+
+/** True for enabled text inputs whose name, id, placeholder, ARIA label or <label> suggest an address. */
+function isAddressField(input) {
+  if (!(input instanceof HTMLInputElement) || input.readOnly || input.disabled) return false;
+  if (input.type !== 'text' && input.type !== 'search') return false;
+  const hints = [
+    input.name, input.id, input.placeholder, input.autocomplete, input.getAttribute('aria-label'),
+    ...[...(input.labels ?? [])].map(label => label.textContent),
+  ];
+  return hints.some(hint => hint && ADDRESS_FIELD_HINT_RE.test(hint));
+}
+
+function getNameSuggestion() {
+  if (nameSuggestion) return nameSuggestion;
+  const host = document.createElement('div');
+  const shadow = host.attachShadow({ mode: 'closed' });
+  const style = document.createElement('style');
+  style.textContent = NAME_SUGGESTION_CSS;
+  const card = document.createElement('div');
+  card.className = 'card';
+  // Keep focus in the input while the suggestion is clicked
+  card.addEventListener('mousedown', e => e.preventDefault());
+  shadow.append(style, card);
+  document.documentElement.appendChild(host);
+  nameSuggestion = { host, card, input: null, name: null, address: null };
+  return nameSuggestion;
+}
+
+/** Show what `name` resolved to under `input`: an address to use, or why there is none. */
+function showNameSuggestion(input, name, address, failed) {
+  const suggestion = getNameSuggestion();
+  const { card } = suggestion;
+  Object.assign(suggestion, { input, name, address });
+  card.replaceChildren(el('div', 'name', name));
+  if (address) {
+    card.append(el('div', 'addr', checksumAddress(address)));
+    const row = el('div', 'row');
+    const useBtn = el('button', null, 'Use address');
+    useBtn.type = 'button';
+    useBtn.addEventListener('click', (e) => {
+      if (isUserEvent(e)) confirmNameSuggestion();
+    });
+    row.append(useBtn, el('span', 'hint', 'Enter to fill · Esc to dismiss'));
+    card.append(row);
+  } else {
+    card.append(el('div', 'warn', failed ? 'Lookup failed — check your RPC settings' : 'No address found for this name'));
+  }
+
+  const rect = input.getBoundingClientRect();
+  card.classList.add('visible');
+  card.style.top = `${Math.min(rect.bottom + 4, window.innerHeight - card.offsetHeight - 4)}px`;
+  card.style.left = `${Math.max(4, Math.min(rect.left, window.innerWidth - card.offsetWidth - 4))}px`;
+}
+
+function hideNameSuggestion() {
+  if (!nameSuggestion) return;
+  nameSuggestion.card.classList.remove('visible');
+  Object.assign(nameSuggestion, { input: null, name: null, address: null });
+}
+
+/**
+ * Set an input's value the way typing would: through the native setter (so
+ * React and similar value trackers see a change) followed by input and change
+ * events.
+ */
+function fillInput(input, value) {
+  Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value').set.call(input, value);
+  input.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertReplacementText', data: value }));
+  input.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+/** Fill the suggested address, unless the field no longer holds the name it was resolved for. */
+function confirmNameSuggestion() {
+  const { input, name, address } = nameSuggestion ?? {};
+  hideNameSuggestion();
+  if (!address || !input?.isConnected || input.value.trim() !== name) return;
+  fillInput(input, checksumAddress(address));
+  reportAddressUsed(address);
+  log('filled', name, '->', address);
+}
+
+async function suggestAddress(input, name) {
+  let response = null;
+  try {
+    response = await chrome.runtime.sendMessage({ type: 'RESOLVE_NAME', names: [name] });
+  } catch (err) {
+    log('sendMessage error:', err.message);
+  }
+  // The user kept typing, or left the field, while the lookup ran
+  if (input.value.trim() !== name || document.activeElement !== input) return;
+  const address = response?.addresses?.[name.toLowerCase()] ?? null;
+  showNameSuggestion(input, name, address, !response || !!response.error);
+}
+
+/**
+ * Delegated listeners for the whole document; only address-like inputs are
+ * looked at. Synthetic events are ignored: page script could otherwise type a
+ * name and press Enter itself, and have the filled address trusted as used.
+ */
+function installNameInputHelper() {
+  let timer = null;
+  document.addEventListener('input', (e) => {
+    if (!isUserEvent(e) || !isAddressField(e.target)) return;
+    clearTimeout(timer);
+    hideNameSuggestion();
+    const value = e.target.value.trim();
+    if (NAME_INPUT_RE.test(value)) timer = setTimeout(() => suggestAddress(e.target, value), NAME_INPUT_DEBOUNCE_MS);
+  }, true);
+  document.addEventListener('keydown', (e) => {
+    if (!isUserEvent(e) || !nameSuggestion?.input || e.target !== nameSuggestion.input) return;
+    if (e.key === 'Enter' && nameSuggestion.address) {
+      // Fill instead of submitting the form
+      e.preventDefault();
+      e.stopPropagation();
+      confirmNameSuggestion();
+    } else if (e.key === 'Escape') {
+      hideNameSuggestion();
+    }
+  }, true);
+  document.addEventListener('focusout', (e) => {
+    if (e.target === nameSuggestion?.input) hideNameSuggestion();
+  }, true);
+}
+
+// ─── Reveal toggle ───────────────────────────────────────────────────────────
+
+// True while this tab shows original addresses instead of names. The state is
+// kept per tab by the background (popup switch and keyboard shortcut) and
+// pushed to every frame.
+let revealed = false;
+
+/** Switch every replaced element in this frame between its name and its original text. */
+function setRevealed(on) {
+  revealed = on;
+  for (const el of document.querySelectorAll(`[${DONE_ATTR}]`)) {
+    const info = replacedInfo.get(el);
+    if (info?.textNode) showDisplay(info);
+  }
+  log(on ? 'showing original addresses' : 'showing names');
+}
+
+/** Pick up the tab's current state, then follow SET_REVEAL pushes from the background. */
+async function installRevealToggle() {
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.type === 'SET_REVEAL') setRevealed(message.revealed === true);
+    return false;
+  });
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_REVEAL' });
+    revealed = response?.revealed === true;
+  } catch { /* background unavailable: show names */ }
 }
 
 // ─── Pipeline ─────────────────────────────────────────────────────────────────
@@ -311,20 +1289,225 @@ function replaceAnchor(anchor, fullAddress, nameMap, replaceEns, ignoreSet) {
 async function processRoot(root) {
   // Load config BEFORE scanning so custom regexes apply on first run
   const config = await loadConfig();
+  if (LAZY_RESOLUTION) {
+    scanLazily(root, config);
+    return;
+  }
 
   const addressSet = new Set();
   const links = collectEthereumLinks(root, addressSet);
   log('found', links.length, 'ethereum links');
+  reportScan(anchorsScanned, links.length);
+  anchorsScanned = 0;
+  if (isTextModeSite(config)) {
+    const bare = collectTextAddresses(root, addressSet);
+    log('found', bare.length, 'bare addresses');
+    links.push(...bare);
+  }
   if (!addressSet.size) return;
+  await resolveLinks(links, addressSet, config);
+}
 
-  const nameMap = await resolveAddresses([...addressSet]);
-  if (!nameMap.size) return;
+/** Resolve the addresses of matched links and replace the ones with a name or label. */
+async function resolveLinks(links, addressSet, config) {
+  const { records: recordMap, lookalikes } = await resolveAddresses([...addressSet]);
+  if (!recordMap.size && !ADDRESS_BOOK.size && !lookalikes.size) return;
 
   const ignoreSet = new Set(config.ignoreList);
   log('ignoreList:', [...ignoreSet]);
   for (const { anchor, fullAddress } of links) {
-    if (document.contains(anchor)) replaceAnchor(anchor, fullAddress, nameMap, config.replaceEns, ignoreSet);
+    if (!document.contains(anchor) || anchor.hasAttribute(DONE_ATTR)) continue;
+    // The page changed the href while the lookup ran; the MutationObserver has queued it again
+    if (anchor.tagName === 'A' && matchAnchor(anchor) !== fullAddress) continue;
+    replaceAnchor(anchor, fullAddress, recordMap, config.replaceEns, ignoreSet);
+    const lookalike = lookalikes.get(fullAddress);
+    if (lookalike) markLookalike(anchor, fullAddress, lookalike);
+  }
+}
+
+// ─── Lazy resolution ─────────────────────────────────────────────────────────
+
+/*
+ * With Lazy Resolution on, processRoot walks the tree a slice at a time,
+ * while the main thread is idle, and hands the anchors it matches to an
+ * IntersectionObserver. An anchor is resolved once it comes within
+ * LAZY_ROOT_MARGIN of the viewport, together with the others that arrived
+ * within LAZY_BATCH_DELAY_MS, so rows nobody scrolls to cost no RPC calls.
+ * Bare addresses are not even wrapped until their parent element does.
+ */
+
+const LAZY_ROOT_MARGIN = '300px 0px';
+const LAZY_BATCH_DELAY_MS = 100;
+const LAZY_MIN_SLICE = 200; // nodes walked per idle callback, even with no time left
+const IDLE_TIMEOUT_MS = 1000;
+const IDLE_FALLBACK_BUDGET_MS = 10; // per slice where requestIdleCallback is missing
+
+// Anchor waiting to come into view → its address
+const lazyPending = new WeakMap();
+// Element waiting to come into view → its text nodes with bare addresses
+const lazyText = new WeakMap();
+let lazyObserver = null;
+let lazyQueue = [];
+let lazyTimer = null;
+
+/** Run work(deadline) when the main thread is idle, or after IDLE_TIMEOUT_MS at the latest. */
+function whenIdle(work) {
+  if (typeof requestIdleCallback === 'function') {
+    requestIdleCallback(work, { timeout: IDLE_TIMEOUT_MS });
+    return;
   }
+  setTimeout(() => {
+    const end = Date.now() + IDLE_FALLBACK_BUDGET_MS;
+    work({ didTimeout: false, timeRemaining: () => Math.max(0, end - Date.now()) });
+  }, 0);
+}
+
+/**
+ * Walk root for unprocessed anchors (and, on text-mode sites, text with bare
+ * addresses) with one TreeWalker, resumed in each idle callback, and watch
+ * what it finds.
+ */
+function scanLazily(root, config) {
+  const withText = isTextModeSite(config) && !!textScanRoot(root);
+  // No filter: every nextNode() is one step, so a slice never runs long
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | (withText ? NodeFilter.SHOW_TEXT : 0));
+  let scanned = 0;
+  let matched = 0;
+  const visit = (node) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      if (isAddressText(node)) observeTextLazily(node);
+      return;
+    }
+    if (node.tagName !== 'A' || node.hasAttribute(DONE_ATTR)) return;
+    scanned++;
+    const fullAddress = matchAnchor(node);
+    if (!fullAddress) return;
+    observeLazily(node, fullAddress);
+    matched++;
+  };
+  // The walker never returns root, which may itself be an <a> (when
+  // MutationObserver fires on a directly added anchor)
+  let visitRoot = true;
+
+  const slice = (deadline) => {
+    if (!root.isConnected) return;
+    if (visitRoot) {
+      visitRoot = false;
+      visit(root);
+    }
+    // The page removed the node the walk stopped at: start over, DONE anchors are skipped anyway
+    if (!root.contains(walker.currentNode)) walker.currentNode = root;
+    let walked = 0;
+    let node = null;
+    while ((walked++ < LAZY_MIN_SLICE || deadline.timeRemaining() > 1) && (node = walker.nextNode())) visit(node);
+    if (node) {
+      whenIdle(slice);
+      return;
+    }
+    log('lazy: watching', matched, 'of', scanned, 'links');
+    reportScan(scanned, matched);
+  };
+  whenIdle(slice);
+}
+
+function getLazyObserver() {
+  lazyObserver ??= new IntersectionObserver(onLazyIntersection, { rootMargin: LAZY_ROOT_MARGIN });
+  return lazyObserver;
+}
+
+function observeLazily(anchor, fullAddress) {
+  lazyPending.set(anchor, fullAddress);
+  getLazyObserver().observe(anchor);
+}
+
+/** Watch the parent of a text node with bare addresses; they are wrapped when it comes into view. */
+function observeTextLazily(textNode) {
+  const parent = textNode.parentElement;
+  if (!lazyText.has(parent)) lazyText.set(parent, new Set());
+  lazyText.get(parent).add(textNode);
+  getLazyObserver().observe(parent);
+}
+
+function onLazyIntersection(entries) {
+  for (const entry of entries) {
+    if (!entry.isIntersecting) continue;
+    const el = entry.target;
+    const fullAddress = lazyPending.get(el);
+    const textNodes = lazyText.get(el);
+    lazyObserver.unobserve(el);
+    lazyPending.delete(el);
+    lazyText.delete(el);
+    if (fullAddress) lazyQueue.push({ anchor: el, fullAddress });
+    // Skip text nodes the page has moved away since; the rest are matched again as they are now
+    if (textNodes) lazyQueue.push(...wrapTextAddresses([...textNodes].filter(node => node.parentNode === el), new Set()));
+  }
+  if (lazyQueue.length && !lazyTimer) lazyTimer = setTimeout(flushLazyQueue, LAZY_BATCH_DELAY_MS);
+}
+
+/** Resolve every anchor that came into view since the last flush, in one request. */
+async function flushLazyQueue() {
+  lazyTimer = null;
+  const links = lazyQueue;
+  lazyQueue = [];
+  const config = await loadConfig();
+  log('lazy: resolving', links.length, 'links in view');
+  await resolveLinks(links, new Set(links.map(link => link.fullAddress)), config);
+}
+
+// ─── Change tracking ─────────────────────────────────────────────────────────
+
+/*
+ * Frameworks reuse elements: a React or Vue table row keeps its <a> and only
+ * swaps the href or the text. A processed element whose address or text no
+ * longer matches what it was processed for is reverted at once and queued
+ * for a new lookup, so it never shows the previous row's name. Text is
+ * watched per processed element (characterData), hrefs on the whole page;
+ * content.js's own text swaps are told apart by the text they leave behind.
+ */
+
+/** Also report text edits inside a processed element to the MutationObserver. */
+function watchText(el) {
+  observer.observe(el, { characterData: true, subtree: true });
+}
+
+/** True when the page, not content.js, changed a replaced element's text. */
+function textChangedByPage(el, info) {
+  return !el.contains(info.textNode) || info.textNode.data !== (revealed ? info.original : info.display);
+}
+
+/** The element a mutation may have invalidated, or null when there is nothing to check. */
+function changedElement(mutation) {
+  const { target } = mutation;
+  const el = target.nodeType === Node.ELEMENT_NODE ? target : target.parentElement;
+  if (!el || el.closest(OWN_NODE_SELECTOR)) return null;
+  if (mutation.type === 'attributes') return el.tagName === 'A' ? el : null;
+  const processed = el.closest(`[${DONE_ATTR}], [${LOOKALIKE_ATTR}]`);
+  if (!processed) return null;
+  if (mutation.type === 'characterData') {
+    const info = replacedInfo.get(processed);
+    return !info || textChangedByPage(processed, info) ? processed : null;
+  }
+  const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+  return nodes.some(node => node.nodeType !== Node.ELEMENT_NODE || !OWN_NODE_ATTRS.some(attr => node.hasAttribute(attr)))
+    ? processed
+    : null;
+}
+
+/** Revert a processed element whose address or text changed, and queue it for a new lookup. */
+function recheckElement(el) {
+  const info = replacedInfo.get(el);
+  const lookalike = lookalikeInfo.get(el);
+  if (info || lookalike) {
+    const textChanged = !!info && textChangedByPage(el, info);
+    const address = info?.address ?? lookalike.address;
+    const text = info && !textChanged ? info.original.trim() : el.textContent.trim();
+    const current = el.tagName === 'A' ? matchAnchor(el, text) : address;
+    if (!textChanged && current === address) return;
+    log('changed after processing:', address, '->', current ?? 'no address');
+    if (info) revertReplacement(el, info, textChanged);
+    if (lookalike) unmarkLookalike(el);
+  }
+  pendingRoots.add(el);
 }
 
 // ─── MutationObserver (SPAs / dynamic content) ───────────────────────────────
@@ -333,16 +1516,22 @@ let debounceTimer = null;
 const pendingRoots = new Set();
 
 const observer = new MutationObserver((mutations) => {
+  const changed = new Set();
   for (const mutation of mutations) {
+    const el = changedElement(mutation);
+    if (el) changed.add(el);
     for (const node of mutation.addedNodes) {
       if (node.nodeType === Node.ELEMENT_NODE) {
-        pendingRoots.add(node);
+        if (!OWN_NODE_ATTRS.some(attr => node.hasAttribute(attr))) pendingRoots.add(node);
       } else if (node.nodeType === Node.TEXT_NODE && node.parentElement) {
         pendingRoots.add(node.parentElement);
       }
     }
   }
 
+  for (const el of changed) recheckElement(el);
+  if (!pendingRoots.size) return;
+
   clearTimeout(debounceTimer);
   debounceTimer = setTimeout(() => {
     const roots = [...pendingRoots];
@@ -353,14 +1542,21 @@ const observer = new MutationObserver((mutations) => {
   }, 500);
 });
 
-// ─── Bootstrap (skip iframe if allFrames is disabled) ─────────────────────────
+// ─── Bootstrap (skip disabled sites, and iframes if allFrames is disabled) ────
 
 (async () => {
-  if (window !== window.top) {
-    const config = await getConfig();
-    if (!config.allFrames) return;
-  }
+  const config = await getConfig();
+  if (!isSiteEnabled(config, location.origin)) return;
+  // A frame embedded in a denylisted page stays off too (e.g. a bank's widgets)
+  const ancestors = location.ancestorOrigins ? [...location.ancestorOrigins] : [];
+  if (ancestors.some(origin => (config.siteDenyList || []).includes(origin))) return;
+  if (window !== window.top && !config.allFrames) return;
 
+  installHoverCard();
+  installContextMenuSupport();
+  installAddressBookSync();
+  if ((config.nameInputSites || []).includes(location.origin)) installNameInputHelper();
+  await installRevealToggle();
   await processRoot(document.body);
-  observer.observe(document.body, { childList: true, subtree: true });
+  observer.observe(document.body, { childList: true, subtree: true, attributes: true, attributeFilter: ['href'] });
 })();
@@ -0,0 +1,111 @@
+/**
+ * Minimal Keccak-256 (the pre-NIST padding variant used by Ethereum).
+ *
+ * Shared by background.js (name hashing for forward lookups) and content.js
+ * (EIP-55 checksums for display). Vanilla BigInt implementation — inputs here
+ * are short names and addresses, so clarity wins over speed.
+ */
+
+const KECCAK_RATE_BYTES = 136; // 1088-bit rate for a 256-bit digest
+const KECCAK_MASK = (1n << 64n) - 1n;
+
+const KECCAK_RC = [
+  0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+  0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+  0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+  0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+  0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+  0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n,
+];
+
+// Rotation offsets indexed by lane position x + 5y
+const KECCAK_ROT = [
+  0, 1, 62, 28, 27,
+  36, 44, 6, 55, 20,
+  3, 10, 43, 25, 39,
+  41, 45, 15, 21, 8,
+  18, 2, 61, 56, 14,
+];
+
+function rotl64(v, n) {
+  if (!n) return v;
+  const s = BigInt(n);
+  return ((v << s) | (v >> (64n - s))) & KECCAK_MASK;
+}
+
+/** Apply the Keccak-f[1600] permutation to a 25-lane state in place. */
+function keccakF(state) {
+  const c = new Array(5);
+  const b = new Array(25);
+  for (let round = 0; round < 24; round++) {
+    // θ
+    for (let x = 0; x < 5; x++) {
+      c[x] = state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20];
+    }
+    for (let x = 0; x < 5; x++) {
+      const d = c[(x + 4) % 5] ^ rotl64(c[(x + 1) % 5], 1);
+      for (let y = 0; y < 25; y += 5) state[x + y] ^= d;
+    }
+    // ρ and π
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        b[y + 5 * ((2 * x + 3 * y) % 5)] = rotl64(state[x + 5 * y], KECCAK_ROT[x + 5 * y]);
+      }
+    }
+    // χ
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x++) {
+        state[x + y] = b[x + y] ^ (~b[(x + 1) % 5 + y] & KECCAK_MASK & b[(x + 2) % 5 + y]);
+      }
+    }
+    // ι
+    state[0] ^= KECCAK_RC[round];
+  }
+}
+
+/**
+ * Keccak-256 digest of a Uint8Array or UTF-8 string.
+ * Returns 64 lowercase hex chars (no 0x prefix).
+ */
+function keccak256(input) {
+  const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+
+  // Pad: 0x01 … 0x80 up to a multiple of the rate
+  const padLen = KECCAK_RATE_BYTES - (bytes.length % KECCAK_RATE_BYTES);
+  const padded = new Uint8Array(bytes.length + padLen);
+  padded.set(bytes);
+  padded[bytes.length] ^= 0x01;
+  padded[padded.length - 1] ^= 0x80;
+
+  const state = new Array(25).fill(0n);
+  for (let off = 0; off < padded.length; off += KECCAK_RATE_BYTES) {
+    for (let i = 0; i < KECCAK_RATE_BYTES / 8; i++) {
+      let lane = 0n;
+      for (let j = 7; j >= 0; j--) lane = (lane << 8n) | BigInt(padded[off + i * 8 + j]);
+      state[i] ^= lane;
+    }
+    keccakF(state);
+  }
+
+  // Squeeze the first 32 bytes (4 lanes, little-endian)
+  let out = '';
+  for (let i = 0; i < 4; i++) {
+    let lane = state[i];
+    for (let j = 0; j < 8; j++) {
+      out += Number(lane & 0xffn).toString(16).padStart(2, '0');
+      lane >>= 8n;
+    }
+  }
+  return out;
+}
+
+/** EIP-55 mixed-case checksum encoding of a 0x-prefixed address. */
+function checksumAddress(address) {
+  const hex = address.toLowerCase().replace('0x', '');
+  const hash = keccak256(hex);
+  let out = '0x';
+  for (let i = 0; i < hex.length; i++) {
+    out += parseInt(hash[i], 16) >= 8 ? hex[i].toUpperCase() : hex[i];
+  }
+  return out;
+}
@@ -0,0 +1,199 @@
+/**
+ * Name cache — IndexedDB store for resolved names and addresses.
+ *
+ * Used by background.js only. Every lookup result (positive or negative) is
+ * one record keyed by `wns_<address>` or `wnsn_<name>`, indexed by expiry
+ * (so expired records can be purged without a full scan), by last access
+ * (so the least recently used records are evicted once the store grows past
+ * cacheMaxEntries) and by creation time (for the oldest-entry stat).
+ */
+
+const NAME_CACHE_DB = 'wns-cache';
+const NAME_CACHE_DB_VERSION = 1;
+const NAME_CACHE_STORE = 'entries';
+
+// Expired records are purged at most this often (on write)
+const NAME_CACHE_PURGE_INTERVAL_MS = 5 * 60 * 1000;
+
+let nameCacheDb = null;
+let nameCacheLastPurge = 0;
+
+// Hit/miss counters since browser start, mirrored to chrome.storage.session
+// so a service worker restart does not reset the options page stats.
+const nameCacheCounters = { hits: 0, misses: 0 };
+let nameCacheCountersTimer = null;
+const nameCacheCountersReady = chrome.storage.session.get({ cacheCounters: null })
+  .then(({ cacheCounters }) => { if (cacheCounters) Object.assign(nameCacheCounters, cacheCounters); })
+  .catch(() => {});
+
+/** Promise wrapper for a single IDBRequest. */
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/** Resolve when a transaction commits, reject if it errors or aborts. */
+function idbDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = tx.onabort = () => reject(tx.error);
+  });
+}
+
+/** Open (and on first use, create) the cache database. */
+function openNameCache() {
+  if (!nameCacheDb) {
+    nameCacheDb = new Promise((resolve, reject) => {
+      const req = indexedDB.open(NAME_CACHE_DB, NAME_CACHE_DB_VERSION);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(NAME_CACHE_STORE, { keyPath: 'key' });
+        store.createIndex('expires', 'expires');
+        store.createIndex('accessed', 'accessed');
+        store.createIndex('created', 'created');
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        nameCacheDb = null;
+        reject(req.error);
+      };
+    });
+  }
+  return nameCacheDb;
+}
+
+/**
+ * Look up cache keys. Returns Map<key, value> for records that have not
+ * expired; their last-access time is bumped for LRU. Expired records found
+ * along the way are deleted.
+ */
+async function cacheGetMany(keys) {
+  const db = await openNameCache();
+  const tx = db.transaction(NAME_CACHE_STORE, 'readwrite');
+  const store = tx.objectStore(NAME_CACHE_STORE);
+  const now = Date.now();
+  const found = new Map();
+
+  await Promise.all(keys.map(async (key) => {
+    const record = await idbRequest(store.get(key));
+    if (!record) return;
+    if (record.expires <= now) {
+      store.delete(key);
+      return;
+    }
+    record.accessed = now;
+    store.put(record);
+    found.set(key, record.value);
+  }));
+
+  await idbDone(tx);
+  return found;
+}
+
+/**
+ * Store lookup results. `entries` is [{ key, value, ttlMs }], where
+ * `value.t` is when it was fetched. Evicts least recently used records
+ * beyond `maxEntries` and periodically purges expired ones.
+ */
+async function cachePutMany(entries, maxEntries) {
+  const db = await openNameCache();
+  const tx = db.transaction(NAME_CACHE_STORE, 'readwrite');
+  const store = tx.objectStore(NAME_CACHE_STORE);
+  const now = Date.now();
+
+  for (const { key, value, ttlMs } of entries) {
+    store.put({ key, value, created: value.t, expires: value.t + ttlMs, accessed: now });
+  }
+
+  if (now - nameCacheLastPurge > NAME_CACHE_PURGE_INTERVAL_MS) {
+    nameCacheLastPurge = now;
+    await deleteByCursor(store.index('expires').openCursor(IDBKeyRange.upperBound(now)));
+  }
+
+  const excess = (await idbRequest(store.count())) - maxEntries;
+  if (excess > 0) {
+    await deleteByCursor(store.index('accessed').openCursor(), excess);
+  }
+
+  await idbDone(tx);
+}
+
+/** Delete records under a cursor, up to `limit` of them. Resolves to the count. */
+function deleteByCursor(req, limit = Infinity) {
+  return new Promise((resolve, reject) => {
+    let deleted = 0;
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor || deleted >= limit) {
+        resolve(deleted);
+        return;
+      }
+      cursor.delete();
+      deleted++;
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/** Remove every record and reset the counters. Resolves to the number removed. */
+async function cacheClear() {
+  const db = await openNameCache();
+  const tx = db.transaction(NAME_CACHE_STORE, 'readwrite');
+  const store = tx.objectStore(NAME_CACHE_STORE);
+  const count = await idbRequest(store.count());
+  store.clear();
+  await idbDone(tx);
+
+  await nameCacheCountersReady;
+  nameCacheCounters.hits = 0;
+  nameCacheCounters.misses = 0;
+  saveCacheCounters();
+  return count;
+}
+
+/** Count cache hits and misses for the stats API. */
+async function recordCacheLookups(hits, misses) {
+  await nameCacheCountersReady;
+  nameCacheCounters.hits += hits;
+  nameCacheCounters.misses += misses;
+  saveCacheCounters();
+}
+
+function saveCacheCounters() {
+  clearTimeout(nameCacheCountersTimer);
+  nameCacheCountersTimer = setTimeout(() => {
+    chrome.storage.session.set({ cacheCounters: nameCacheCounters }).catch(() => {});
+  }, 250);
+}
+
+/**
+ * Summary for the options page:
+ * { entries, expired, hits, misses, hitRate, oldest }, where `hitRate` is
+ * null before any lookups and `oldest` is the fetch time of the oldest
+ * record (or null when empty).
+ */
+async function cacheStats() {
+  const db = await openNameCache();
+  const tx = db.transaction(NAME_CACHE_STORE, 'readonly');
+  const store = tx.objectStore(NAME_CACHE_STORE);
+  const [entries, expired, oldestCursor] = await Promise.all([
+    idbRequest(store.count()),
+    idbRequest(store.index('expires').count(IDBKeyRange.upperBound(Date.now()))),
+    idbRequest(store.index('created').openCursor()),
+  ]);
+  const oldest = oldestCursor ? oldestCursor.value.created : null;
+  await idbDone(tx);
+
+  await nameCacheCountersReady;
+  const { hits, misses } = nameCacheCounters;
+  return {
+    entries,
+    expired,
+    hits,
+    misses,
+    hitRate: hits + misses ? hits / (hits + misses) : null,
+    oldest,
+  };
+}
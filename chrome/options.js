@@ -2,11 +2,29 @@
 
 const rpcUrlInput = document.getElementById('rpcUrl');
 const replaceEnsInput = document.getElementById('replaceEns');
+const verifyNamesInput = document.getElementById('verifyNames');
+const confusableNamesInput = document.getElementById('confusableNames');
+const lookalikeDetectionInput = document.getElementById('lookalikeDetection');
+const lookalikeMatchLengthInput = document.getElementById('lookalikeMatchLength');
+const clearTrustedBtn = document.getElementById('clearTrusted');
+const trustedStatsEl = document.getElementById('trustedStats');
+const nameProvidersInput = document.getElementById('nameProviders');
+const hoverCardInput = document.getElementById('hoverCard');
+const textRecordsInput = document.getElementById('textRecords');
+const textRecordKeysInput = document.getElementById('textRecordKeys');
+const explorerLinksInput = document.getElementById('explorerLinks');
+const omniboxExplorerUrlInput = document.getElementById('omniboxExplorerUrl');
 const loggingInput = document.getElementById('logging');
 const cacheEnabledInput = document.getElementById('cacheEnabled');
 const cacheTtlInput = document.getElementById('cacheTtlMinutes');
+const cacheNegativeTtlInput = document.getElementById('cacheNegativeTtlMinutes');
+const cacheMaxEntriesInput = document.getElementById('cacheMaxEntries');
+const cacheStatsEl = document.getElementById('cacheStats');
 const maxBatchSizeInput = document.getElementById('maxBatchSize');
 const rpcCooldownMsInput = document.getElementById('rpcCooldownMs');
+const rpcBurstInput = document.getElementById('rpcBurst');
+const batchWindowMsInput = document.getElementById('batchWindowMs');
+const lazyResolutionInput = document.getElementById('lazyResolution');
 const clearCacheBtn = document.getElementById('clearCache');
 const useSyncInput = document.getElementById('useSync');
 const allFramesInput = document.getElementById('allFrames');
@@ -14,8 +32,37 @@ const hrefRulesInput = document.getElementById('hrefRules');
 const ethReInput = document.getElementById('ethRe');
 const abbrReInput = document.getElementById('abbrRe');
 const ignoreListInput = document.getElementById('ignoreList');
+const textNodeSitesInput = document.getElementById('textNodeSites');
+const nameInputSitesInput = document.getElementById('nameInputSites');
+const displayTemplateInput = document.getElementById('displayTemplate');
+const siteDisplayTemplatesInput = document.getElementById('siteDisplayTemplates');
+const sitePacksContainer = document.getElementById('sitePacks');
+const sitePacksHint = document.getElementById('sitePacksHint');
+const siteModeInput = document.getElementById('siteMode');
+const siteDenyListInput = document.getElementById('siteDenyList');
+const siteAllowListInput = document.getElementById('siteAllowList');
 const headersContainer = document.getElementById('headersContainer');
+const rpcFallbacksInput = document.getElementById('rpcFallbacks');
+const rpcTimeoutMsInput = document.getElementById('rpcTimeoutMs');
+const rpcMaxRetriesInput = document.getElementById('rpcMaxRetries');
+const rpcHealthBody = document.querySelector('#rpcHealth tbody');
+const refreshHealthBtn = document.getElementById('refreshHealth');
 const addHeaderBtn = document.getElementById('addHeader');
+const profileSelect = document.getElementById('profile');
+const profileNameInput = document.getElementById('profileName');
+const saveProfileBtn = document.getElementById('saveProfile');
+const deleteProfileBtn = document.getElementById('deleteProfile');
+const exportSecretsInput = document.getElementById('exportSecrets');
+const exportBtn = document.getElementById('exportSettings');
+const importBtn = document.getElementById('importSettings');
+const importFileInput = document.getElementById('importFile');
+const addressBookBody = document.querySelector('#addressBook tbody');
+const bookAddressInput = document.getElementById('bookAddress');
+const bookLabelInput = document.getElementById('bookLabel');
+const addPetnameBtn = document.getElementById('addPetname');
+const exportBookBtn = document.getElementById('exportBook');
+const importBookBtn = document.getElementById('importBook');
+const importBookFileInput = document.getElementById('importBookFile');
 const saveBtn = document.getElementById('save');
 const resetBtn = document.getElementById('reset');
 const statusEl = document.getElementById('status');
@@ -52,6 +99,206 @@ function detectReDoS(pattern) {
   return null;
 }
 
+// ─── Validation ──────────────────────────────────────────────────────────────
+// Shared by Save and Import: collectForm()/parseSettingsFile() produce a raw
+// config object, validateConfig() rejects anything unsafe, normalizeConfig()
+// tidies it for storage.
+
+/** Allowed range of each numeric setting (values outside are clamped on Save, rejected on Import). */
+const NUMBER_RANGES = {
+  rpcTimeoutMs: [1000, 60000],
+  rpcMaxRetries: [0, 5],
+  cacheTtlMinutes: [1, 10080],
+  cacheNegativeTtlMinutes: [1, 10080],
+  cacheMaxEntries: [100, 1000000],
+  maxBatchSize: [1, 500],
+  rpcCooldownMs: [0, 30000],
+  rpcBurst: [1, 20],
+  batchWindowMs: [0, 1000],
+  lookalikeMatchLength: [4, 6],
+};
+
+/** Settings edited with a <select>; imported values must be one of its options. */
+const SELECT_INPUTS = {
+  verifyNames: verifyNamesInput,
+  confusableNames: confusableNamesInput,
+  nameProviders: nameProvidersInput,
+  siteMode: siteModeInput,
+};
+
+/** Array settings whose entries are plain strings. */
+const STRING_LIST_KEYS = ['ignoreList', 'siteDenyList', 'siteAllowList', 'textNodeSites', 'nameInputSites', 'disabledSitePacks', 'textRecordKeys'];
+
+/** Extra text records besides avatar; each one adds a call per name to the follow-up batch. */
+const TEXT_RECORD_KEYS_MAX = 5;
+const TEXT_RECORD_KEY_RE = /^[a-z0-9][a-z0-9._-]{0,63}$/i;
+
+/** Placeholders a display template may use ({badge} only at the end). */
+const TEMPLATE_TOKENS = ['name', 'short', 'address', 'badge'];
+const TEMPLATE_MAX_LENGTH = 100;
+
+/** Check a display template's placeholders. Returns the problem or null. */
+function templateError(template) {
+  if (typeof template !== 'string' || !template.trim()) return 'is empty';
+  if (template.length > TEMPLATE_MAX_LENGTH) return `is longer than ${TEMPLATE_MAX_LENGTH} characters`;
+  for (const [, token] of template.matchAll(/\{([^{}]*)\}/g)) {
+    if (!TEMPLATE_TOKENS.includes(token)) return `unknown placeholder {${token}}`;
+  }
+  if (!template.includes('{name}')) return 'must include {name}';
+  const badge = template.indexOf('{badge}');
+  if (badge !== -1 && badge !== template.length - '{badge}'.length) return '{badge} must come last';
+  return null;
+}
+
+/** Parse "hostname template" lines into [{ host, template }] (blank lines skipped). */
+function parseSiteTemplates(text) {
+  return text.split('\n').map(line => line.trim()).filter(Boolean).map((line) => {
+    const [host] = line.split(/\s/, 1);
+    return { host: host.toLowerCase(), template: line.slice(host.length).trim() };
+  });
+}
+
+/** Parse a number input, falling back to the default and clamping to its range. */
+function readNumber(input, key) {
+  const [min, max] = NUMBER_RANGES[key];
+  const value = parseInt(input.value, 10);
+  return Math.max(min, Math.min(max, Number.isNaN(value) ? WNS_DEFAULTS[key] : value));
+}
+
+/** Check a regex compiles and passes the ReDoS heuristic. Returns the problem or null. */
+function patternError(pattern) {
+  try { new RegExp(pattern); } catch {
+    return 'invalid regex';
+  }
+  return detectReDoS(pattern);
+}
+
+/**
+ * Validate a complete config object: RPC URLs, header shapes, every regex
+ * (ReDoS heuristic included), explorer URLs, display templates and site
+ * origins. Returns an error message, or null when the config is safe to store.
+ */
+function validateConfig(config) {
+  if (!isValidRpcUrl(config.rpcUrl)) {
+    return 'RPC URL must use HTTPS (localhost/127.0.0.1 exempt)';
+  }
+
+  if (config.rpcHeaders) {
+    let headers;
+    try { headers = JSON.parse(config.rpcHeaders); } catch {
+      return 'RPC Request Headers: invalid JSON';
+    }
+    if (!Array.isArray(headers) || headers.some(h => !h || typeof h.key !== 'string' || typeof h.value !== 'string')) {
+      return 'RPC Request Headers: must be a JSON array of { "key", "value" } strings';
+    }
+  }
+
+  if (!Array.isArray(config.rpcFallbacks)) {
+    return 'Fallback RPC Endpoints: must be a JSON array';
+  }
+  for (let i = 0; i < config.rpcFallbacks.length; i++) {
+    const fb = config.rpcFallbacks[i];
+    if (!fb || typeof fb.url !== 'string' || !isValidRpcUrl(fb.url.trim())) {
+      return `Fallback ${i + 1}: "url" must use HTTPS (localhost/127.0.0.1 exempt)`;
+    }
+    const headers = fb.headers ?? {};
+    if (typeof headers !== 'object' || Array.isArray(headers) || Object.values(headers).some(v => typeof v !== 'string')) {
+      return `Fallback ${i + 1}: "headers" must be an object of string values`;
+    }
+  }
+
+  // Simple regexes
+  for (const [label, pattern] of [['Full Address Pattern', config.ethRe], ['Abbreviated Display Text Pattern', config.abbrRe], ['Legacy Href Pattern', config.hrefRe]]) {
+    if (!pattern) continue;
+    const error = patternError(pattern);
+    if (error) return `${label}: ${error}`;
+  }
+
+  // hrefRules JSON + each regex
+  if (config.hrefRules) {
+    let arr;
+    try { arr = JSON.parse(config.hrefRules); } catch {
+      return 'Custom Href Rules: invalid JSON';
+    }
+    if (!Array.isArray(arr)) {
+      return 'Custom Href Rules: must be a JSON array';
+    }
+    for (let i = 0; i < arr.length; i++) {
+      const entry = arr[i];
+      if (!entry || typeof entry.pattern !== 'string') {
+        return `Rule ${i + 1}: missing "pattern" string`;
+      }
+      const error = patternError(entry.pattern);
+      if (error) return `Rule ${i + 1}: ${error}`;
+    }
+  }
+
+  if (!Array.isArray(config.explorerLinks)) {
+    return 'Explorer Links: must be a JSON array';
+  }
+  for (let i = 0; i < config.explorerLinks.length; i++) {
+    const link = config.explorerLinks[i];
+    if (!link || typeof link.label !== 'string' || !link.label.trim()) {
+      return `Explorer Link ${i + 1}: missing "label" string`;
+    }
+    if (typeof link.url !== 'string' || !link.url.startsWith('https://') || !link.url.includes('{address}')) {
+      return `Explorer Link ${i + 1}: "url" must use HTTPS and contain {address}`;
+    }
+  }
+
+  const displayError = templateError(config.displayTemplate);
+  if (displayError) return `Display Template: ${displayError}`;
+  if (!Array.isArray(config.siteDisplayTemplates)) {
+    return 'Per-Site Display Templates: must be an array';
+  }
+  for (const entry of config.siteDisplayTemplates) {
+    if (!entry || typeof entry.host !== 'string' || !/^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(entry.host)) {
+      return `Per-Site Display Templates: "${entry?.host}" is not a valid hostname`;
+    }
+    const error = templateError(entry.template);
+    if (error) return `Per-Site Display Templates: ${entry.host}: template ${error}`;
+  }
+
+  const keys = config.textRecordKeys.map(key => key.trim()).filter(Boolean);
+  const badKey = keys.find(key => !TEXT_RECORD_KEY_RE.test(key));
+  if (badKey !== undefined) return `Text Records: "${badKey.slice(0, 50)}" is not a valid record key`;
+  if (keys.length > TEXT_RECORD_KEYS_MAX) return `Text Records: at most ${TEXT_RECORD_KEYS_MAX} extra keys`;
+
+  if (!config.omniboxExplorerUrl.startsWith('https://') || !config.omniboxExplorerUrl.includes('{address}')) {
+    return 'Omnibox Explorer URL must use HTTPS and contain {address}';
+  }
+
+  const originLists = [
+    ['siteDenyList', 'Site Denylist'],
+    ['siteAllowList', 'Site Allowlist'],
+    ['textNodeSites', 'Bare Address Sites'],
+    ['nameInputSites', 'Name Input Sites'],
+  ];
+  for (const [key, label] of originLists) {
+    const invalid = config[key].find(entry => entry.trim() && !normalizeOrigin(entry));
+    if (invalid !== undefined) return `${label}: "${invalid}" is not a valid origin`;
+  }
+
+  return null;
+}
+
+/** Trim and deduplicate a validated config for storage. */
+function normalizeConfig(config) {
+  const lines = list => list.map(s => s.trim()).filter(Boolean);
+  return {
+    ...config,
+    rpcFallbacks: config.rpcFallbacks.map(fb => ({ url: fb.url.trim(), headers: fb.headers ?? {} })),
+    explorerLinks: config.explorerLinks.map(({ label, url }) => ({ label: label.trim(), url })),
+    ignoreList: lines(config.ignoreList),
+    siteDenyList: [...new Set(lines(config.siteDenyList).map(normalizeOrigin))],
+    siteAllowList: [...new Set(lines(config.siteAllowList).map(normalizeOrigin))],
+    textNodeSites: [...new Set(lines(config.textNodeSites).map(normalizeOrigin))],
+    nameInputSites: [...new Set(lines(config.nameInputSites).map(normalizeOrigin))],
+    textRecordKeys: [...new Set(lines(config.textRecordKeys).filter(key => key !== 'avatar'))],
+    siteDisplayTemplates: config.siteDisplayTemplates.map(({ host, template }) => ({ host, template })),
+  };
+}
+
 function addHeaderRow(key = '', value = '') {
   const row = document.createElement('div');
   row.className = 'header-row';
@@ -72,18 +319,71 @@ function collectHeaders() {
   })).filter(h => h.key);
 }
 
+/** One checkbox per built-in site rule pack. */
+function renderSitePacks() {
+  for (const pack of SITE_PACKS) {
+    const row = document.createElement('div');
+    row.className = 'pack-row';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.id = `sitePack-${pack.id}`;
+    input.dataset.pack = pack.id;
+    const label = document.createElement('label');
+    label.htmlFor = input.id;
+    label.textContent = pack.label;
+    const hosts = document.createElement('span');
+    hosts.className = 'hint';
+    hosts.textContent = `${pack.hosts.join(', ')} · v${pack.version}`;
+    row.append(input, label, hosts);
+    sitePacksContainer.appendChild(row);
+  }
+  sitePacksHint.textContent += ` Library version ${SITE_PACKS_VERSION}.`;
+}
+
+renderSitePacks();
+
 function populateForm(config) {
   rpcUrlInput.value = config.rpcUrl || WNS_DEFAULTS.rpcUrl;
+  const fallbacks = config.rpcFallbacks || [];
+  rpcFallbacksInput.value = fallbacks.length ? JSON.stringify(fallbacks, null, 2) : '';
+  rpcTimeoutMsInput.value = config.rpcTimeoutMs ?? WNS_DEFAULTS.rpcTimeoutMs;
+  rpcMaxRetriesInput.value = config.rpcMaxRetries ?? WNS_DEFAULTS.rpcMaxRetries;
   replaceEnsInput.checked = config.replaceEns;
+  verifyNamesInput.value = config.verifyNames || WNS_DEFAULTS.verifyNames;
+  confusableNamesInput.value = config.confusableNames || WNS_DEFAULTS.confusableNames;
+  lookalikeDetectionInput.checked = config.lookalikeDetection !== false;
+  lookalikeMatchLengthInput.value = config.lookalikeMatchLength ?? WNS_DEFAULTS.lookalikeMatchLength;
+  nameProvidersInput.value = config.nameProviders || WNS_DEFAULTS.nameProviders;
+  hoverCardInput.checked = config.hoverCard !== false;
+  textRecordsInput.checked = config.textRecords === true;
+  textRecordKeysInput.value = (config.textRecordKeys || []).join('\n');
+  explorerLinksInput.value = JSON.stringify(config.explorerLinks ?? WNS_DEFAULTS.explorerLinks, null, 2);
+  omniboxExplorerUrlInput.value = config.omniboxExplorerUrl || WNS_DEFAULTS.omniboxExplorerUrl;
   loggingInput.checked = config.logging;
   cacheEnabledInput.checked = config.cacheEnabled !== false;
   cacheTtlInput.value = config.cacheTtlMinutes ?? WNS_DEFAULTS.cacheTtlMinutes;
+  cacheNegativeTtlInput.value = config.cacheNegativeTtlMinutes ?? WNS_DEFAULTS.cacheNegativeTtlMinutes;
+  cacheMaxEntriesInput.value = config.cacheMaxEntries ?? WNS_DEFAULTS.cacheMaxEntries;
   maxBatchSizeInput.value = config.maxBatchSize ?? WNS_DEFAULTS.maxBatchSize;
   rpcCooldownMsInput.value = config.rpcCooldownMs ?? WNS_DEFAULTS.rpcCooldownMs;
+  rpcBurstInput.value = config.rpcBurst ?? WNS_DEFAULTS.rpcBurst;
+  batchWindowMsInput.value = config.batchWindowMs ?? WNS_DEFAULTS.batchWindowMs;
+  lazyResolutionInput.checked = config.lazyResolution === true;
   allFramesInput.checked = config.allFrames !== false;
   ethReInput.value = config.ethRe || WNS_DEFAULTS.ethRe;
   abbrReInput.value = config.abbrRe || WNS_DEFAULTS.abbrRe;
   ignoreListInput.value = (config.ignoreList || []).join('\n');
+  textNodeSitesInput.value = (config.textNodeSites || []).join('\n');
+  nameInputSitesInput.value = (config.nameInputSites || []).join('\n');
+  displayTemplateInput.value = config.displayTemplate || WNS_DEFAULTS.displayTemplate;
+  siteDisplayTemplatesInput.value = (config.siteDisplayTemplates || []).map(t => `${t.host} ${t.template}`).join('\n');
+  siteModeInput.value = config.siteMode || WNS_DEFAULTS.siteMode;
+  siteDenyListInput.value = (config.siteDenyList || []).join('\n');
+  siteAllowListInput.value = (config.siteAllowList || []).join('\n');
+  const disabledPacks = config.disabledSitePacks || [];
+  for (const input of sitePacksContainer.querySelectorAll('input[data-pack]')) {
+    input.checked = !disabledPacks.includes(input.dataset.pack);
+  }
 
   // Migrate legacy hrefRe → hrefRules display
   if (config.hrefRules) {
@@ -104,6 +404,84 @@ function populateForm(config) {
   }
 }
 
+/** Render per-endpoint health reported by the service worker. */
+function renderRpcHealth(endpoints) {
+  rpcHealthBody.replaceChildren();
+  for (const h of endpoints) {
+    const row = document.createElement('tr');
+    const cells = [
+      [h.url, 'url'],
+      [h.latencyMs === null ? '—' : `${h.latencyMs} ms`],
+      [String(h.recentFailures)],
+    ];
+    if (h.coolingDown) {
+      cells.push([`Cooling down until ${new Date(h.cooldownUntil).toLocaleTimeString()}`, 'bad']);
+    } else if (h.recentFailures) {
+      cells.push([`Failing: ${h.lastError}`, 'bad']);
+    } else if (h.successes) {
+      cells.push(['OK', 'ok']);
+    } else {
+      cells.push(['Unused']);
+    }
+    for (const [text, cls] of cells) {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (cls) td.className = cls;
+      row.appendChild(td);
+    }
+    rpcHealthBody.appendChild(row);
+  }
+}
+
+function refreshRpcHealth() {
+  chrome.runtime.sendMessage({ type: 'GET_RPC_HEALTH' }, (response) => {
+    if (chrome.runtime.lastError || !response) return;
+    renderRpcHealth(response.endpoints);
+  });
+}
+
+refreshHealthBtn.addEventListener('click', refreshRpcHealth);
+refreshRpcHealth();
+
+/** Show name cache size, hit rate and age reported by the service worker. */
+function refreshCacheStats() {
+  chrome.runtime.sendMessage({ type: 'GET_CACHE_STATS' }, (response) => {
+    if (chrome.runtime.lastError || !response?.stats) {
+      cacheStatsEl.textContent = 'Cache stats unavailable.';
+      return;
+    }
+    const { entries, expired, hits, misses, hitRate, oldest } = response.stats;
+    const parts = [`${entries} entries${expired ? ` (${expired} expired)` : ''}`];
+    parts.push(hitRate === null
+      ? 'no lookups yet'
+      : `${Math.round(hitRate * 100)}% hit rate (${hits} hits / ${misses} misses)`);
+    if (oldest) parts.push(`oldest from ${new Date(oldest).toLocaleString()}`);
+    cacheStatsEl.textContent = parts.join(' · ');
+  });
+}
+
+refreshCacheStats();
+
+/** Show how many addresses the lookalike check currently trusts. */
+async function refreshTrustedStats() {
+  const { trustedAddresses } = await chrome.storage.local.get({ trustedAddresses: {} });
+  const count = Object.keys(trustedAddresses).length;
+  trustedStatsEl.textContent = `${count} trusted address${count === 1 ? '' : 'es'}`;
+}
+
+clearTrustedBtn.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: 'CLEAR_TRUSTED_ADDRESSES' }, (response) => {
+    if (chrome.runtime.lastError) {
+      showSuccess('Trusted addresses cleared');
+    } else {
+      showSuccess(`Trusted addresses cleared (${response.cleared})`);
+    }
+    refreshTrustedStats();
+  });
+});
+
+refreshTrustedStats();
+
 // Load useSync flag, then populate form from the active storage area
 (async () => {
   const { useSync } = await chrome.storage.local.get({ useSync: false });
@@ -114,74 +492,83 @@ function populateForm(config) {
 
 addHeaderBtn.addEventListener('click', () => addHeaderRow());
 
-saveBtn.addEventListener('click', async () => {
-  const rpcUrl = rpcUrlInput.value.trim() || WNS_DEFAULTS.rpcUrl;
-
-  // Validate RPC URL scheme
-  if (!isValidRpcUrl(rpcUrl)) {
-    showError('RPC URL must use HTTPS (localhost/127.0.0.1 exempt)');
-    return;
+/**
+ * Read the form into a config object. Shows an error and returns null when a
+ * JSON field does not parse or the result fails validation.
+ */
+function collectForm() {
+  let rpcFallbacks = [];
+  const rpcFallbacksRaw = rpcFallbacksInput.value.trim();
+  if (rpcFallbacksRaw) {
+    try { rpcFallbacks = JSON.parse(rpcFallbacksRaw); } catch {
+      showError('Fallback RPC Endpoints: invalid JSON');
+      return null;
+    }
   }
 
-  const replaceEns = replaceEnsInput.checked;
-  const logging = loggingInput.checked;
-  const cacheEnabled = cacheEnabledInput.checked;
-  const cacheTtlMinutes = Math.max(1, parseInt(cacheTtlInput.value, 10) || WNS_DEFAULTS.cacheTtlMinutes);
-  const maxBatchSize = Math.max(1, Math.min(500, parseInt(maxBatchSizeInput.value, 10) || WNS_DEFAULTS.maxBatchSize));
-  const rpcCooldownRaw = parseInt(rpcCooldownMsInput.value, 10);
-  const rpcCooldownMs = Math.max(0, Math.min(30000, Number.isNaN(rpcCooldownRaw) ? WNS_DEFAULTS.rpcCooldownMs : rpcCooldownRaw));
-  const useSync = useSyncInput.checked;
-  const allFrames = allFramesInput.checked;
-  const hrefRules = hrefRulesInput.value.trim();
-  const ethRe = ethReInput.value.trim();
-  const abbrRe = abbrReInput.value.trim();
-
-  // Validate simple regexes
-  for (const [label, pattern] of [['Full Address Pattern', ethRe], ['Abbreviated Display Text Pattern', abbrRe]]) {
-    if (!pattern) continue;
-    try { new RegExp(pattern); } catch {
-      showError(`Invalid regex: ${label}`);
-      return;
-    }
-    const redos = detectReDoS(pattern);
-    if (redos) {
-      showError(`${label}: ${redos}`);
-      return;
+  let explorerLinks = [];
+  const explorerLinksRaw = explorerLinksInput.value.trim();
+  if (explorerLinksRaw) {
+    try { explorerLinks = JSON.parse(explorerLinksRaw); } catch {
+      showError('Explorer Links: invalid JSON');
+      return null;
     }
   }
 
-  // Validate hrefRules JSON + each regex
-  if (hrefRules) {
-    let arr;
-    try { arr = JSON.parse(hrefRules); } catch {
-      showError('Custom Href Rules: invalid JSON');
-      return;
-    }
-    if (!Array.isArray(arr)) {
-      showError('Custom Href Rules: must be a JSON array');
-      return;
-    }
-    for (let i = 0; i < arr.length; i++) {
-      const entry = arr[i];
-      if (!entry || typeof entry.pattern !== 'string') {
-        showError(`Rule ${i + 1}: missing "pattern" string`);
-        return;
-      }
-      try { new RegExp(entry.pattern); } catch {
-        showError(`Rule ${i + 1}: invalid regex`);
-        return;
-      }
-      const redos = detectReDoS(entry.pattern);
-      if (redos) {
-        showError(`Rule ${i + 1}: ${redos}`);
-        return;
-      }
-    }
+  const config = {
+    rpcUrl: rpcUrlInput.value.trim() || WNS_DEFAULTS.rpcUrl,
+    rpcFallbacks,
+    rpcTimeoutMs: readNumber(rpcTimeoutMsInput, 'rpcTimeoutMs'),
+    rpcMaxRetries: readNumber(rpcMaxRetriesInput, 'rpcMaxRetries'),
+    replaceEns: replaceEnsInput.checked,
+    nameProviders: nameProvidersInput.value,
+    verifyNames: verifyNamesInput.value,
+    confusableNames: confusableNamesInput.value,
+    lookalikeDetection: lookalikeDetectionInput.checked,
+    lookalikeMatchLength: readNumber(lookalikeMatchLengthInput, 'lookalikeMatchLength'),
+    hoverCard: hoverCardInput.checked,
+    textRecords: textRecordsInput.checked,
+    textRecordKeys: textRecordKeysInput.value.split('\n'),
+    explorerLinks,
+    omniboxExplorerUrl: omniboxExplorerUrlInput.value.trim() || WNS_DEFAULTS.omniboxExplorerUrl,
+    logging: loggingInput.checked,
+    cacheEnabled: cacheEnabledInput.checked,
+    cacheTtlMinutes: readNumber(cacheTtlInput, 'cacheTtlMinutes'),
+    cacheNegativeTtlMinutes: readNumber(cacheNegativeTtlInput, 'cacheNegativeTtlMinutes'),
+    cacheMaxEntries: readNumber(cacheMaxEntriesInput, 'cacheMaxEntries'),
+    maxBatchSize: readNumber(maxBatchSizeInput, 'maxBatchSize'),
+    rpcCooldownMs: readNumber(rpcCooldownMsInput, 'rpcCooldownMs'),
+    rpcBurst: readNumber(rpcBurstInput, 'rpcBurst'),
+    batchWindowMs: readNumber(batchWindowMsInput, 'batchWindowMs'),
+    lazyResolution: lazyResolutionInput.checked,
+    allFrames: allFramesInput.checked,
+    hrefRules: hrefRulesInput.value.trim(),
+    hrefRe: '',
+    ethRe: ethReInput.value.trim(),
+    abbrRe: abbrReInput.value.trim(),
+    ignoreList: ignoreListInput.value.split('\n'),
+    siteMode: siteModeInput.value,
+    siteDenyList: siteDenyListInput.value.split('\n'),
+    siteAllowList: siteAllowListInput.value.split('\n'),
+    textNodeSites: textNodeSitesInput.value.split('\n'),
+    nameInputSites: nameInputSitesInput.value.split('\n'),
+    displayTemplate: displayTemplateInput.value.trim() || WNS_DEFAULTS.displayTemplate,
+    siteDisplayTemplates: parseSiteTemplates(siteDisplayTemplatesInput.value),
+    disabledSitePacks: [...sitePacksContainer.querySelectorAll('input[data-pack]:not(:checked)')].map(input => input.dataset.pack),
+    rpcHeaders: JSON.stringify(collectHeaders()),
+  };
+
+  const error = validateConfig(config);
+  if (error) {
+    showError(error);
+    return null;
   }
+  return normalizeConfig(config);
+}
 
-  const ignoreList = ignoreListInput.value.split('\n').map(s => s.trim()).filter(Boolean);
-  const rpcHeaders = JSON.stringify(collectHeaders());
-  const configData = { rpcUrl, replaceEns, logging, cacheEnabled, cacheTtlMinutes, maxBatchSize, rpcCooldownMs, allFrames, hrefRules, hrefRe: '', ethRe, abbrRe, ignoreList, rpcHeaders };
+/** Persist a validated config (and the useSync flag), then drop cached names. */
+async function storeConfig(configData) {
+  const useSync = useSyncInput.checked;
 
   // Handle useSync toggle — migrate config between storage areas if changed
   const { useSync: prevSync } = await chrome.storage.local.get({ useSync: false });
@@ -197,9 +584,16 @@ saveBtn.addEventListener('click', async () => {
   // Write config to the (now active) storage area
   await setConfig(configData);
 
-  chrome.runtime.sendMessage({ type: 'CLEAR_CACHE' }, () => {
-    showSuccess('Saved!');
-  });
+  await new Promise(resolve => chrome.runtime.sendMessage({ type: 'CLEAR_CACHE' }, resolve));
+  refreshRpcHealth();
+  refreshCacheStats();
+}
+
+saveBtn.addEventListener('click', async () => {
+  const configData = collectForm();
+  if (!configData) return;
+  await storeConfig(configData);
+  showSuccess('Saved!');
 });
 
 clearCacheBtn.addEventListener('click', () => {
@@ -209,6 +603,7 @@ clearCacheBtn.addEventListener('click', () => {
     } else {
       showSuccess(`Cache cleared (${response.cleared} entries)`);
     }
+    refreshCacheStats();
   });
 });
 
@@ -220,6 +615,307 @@ resetBtn.addEventListener('click', async () => {
   showSuccess('Defaults restored!');
 });
 
+// ─── Profiles ────────────────────────────────────────────────────────────────
+
+/** Fill the profile picker and select the active profile. */
+async function renderProfiles() {
+  const { profiles, activeProfile } = await getProfiles();
+  profileSelect.replaceChildren(new Option('No profile', ''));
+  for (const name of Object.keys(profiles).sort()) profileSelect.add(new Option(name, name));
+  profileSelect.value = activeProfile;
+  deleteProfileBtn.disabled = !activeProfile;
+}
+
+profileSelect.addEventListener('change', async () => {
+  const name = profileSelect.value;
+  if (!name) {
+    // Detach: the current settings stay, later saves no longer update a profile
+    await chrome.storage.local.set({ activeProfile: '' });
+    await renderProfiles();
+    return;
+  }
+  if (!(await switchProfile(name))) {
+    showError(`Profile "${name}" no longer exists`);
+    await renderProfiles();
+    return;
+  }
+  populateForm(await getConfig());
+  await renderProfiles();
+  chrome.runtime.sendMessage({ type: 'CLEAR_CACHE' }, () => {
+    showSuccess(`Switched to "${name}"`);
+    refreshRpcHealth();
+    refreshCacheStats();
+  });
+});
+
+saveProfileBtn.addEventListener('click', async () => {
+  const name = profileNameInput.value.trim();
+  if (!name || name.length > 40) {
+    showError('Profile name must be 1–40 characters');
+    return;
+  }
+  const configData = collectForm();
+  if (!configData) return;
+  // Create the profile first so storeConfig() updates it, not the previous one
+  await saveProfile(name, configData);
+  await storeConfig(configData);
+  profileNameInput.value = '';
+  await renderProfiles();
+  showSuccess(`Saved profile "${name}"`);
+});
+
+deleteProfileBtn.addEventListener('click', async () => {
+  const name = profileSelect.value;
+  if (!name) return;
+  await deleteProfile(name);
+  await renderProfiles();
+  showSuccess(`Deleted profile "${name}"`);
+});
+
+renderProfiles();
+
+// ─── Import / Export ─────────────────────────────────────────────────────────
+
+const SETTINGS_FORMAT = 'wns-resolver-settings';
+const SETTINGS_VERSION = 1;
+const SETTINGS_MAX_BYTES = 1024 * 1024;
+
+/** Blank every RPC header value (names are kept so the recipient knows what to fill in). */
+function redactSecrets(config) {
+  let headers = [];
+  try { headers = config.rpcHeaders ? JSON.parse(config.rpcHeaders) : []; } catch { /* ignore bad data */ }
+  if (!Array.isArray(headers)) headers = [];
+  return {
+    ...config,
+    rpcHeaders: headers.length ? JSON.stringify(headers.map(h => ({ key: h.key, value: '' }))) : '',
+    rpcFallbacks: config.rpcFallbacks.map(fb => ({
+      ...fb,
+      headers: Object.fromEntries(Object.keys(fb.headers ?? {}).map(k => [k, ''])),
+    })),
+  };
+}
+
+/**
+ * Refill header values left blank by a redacted export from the current
+ * config: RPC headers by name, fallback headers by endpoint URL and name.
+ */
+function restoreSecrets(config, current) {
+  let headers, currentHeaders;
+  try {
+    headers = config.rpcHeaders ? JSON.parse(config.rpcHeaders) : [];
+    currentHeaders = current.rpcHeaders ? JSON.parse(current.rpcHeaders) : [];
+  } catch {
+    return config; // validateConfig() reports it
+  }
+  if (!Array.isArray(headers) || !Array.isArray(currentHeaders)) return config;
+  const known = new Map(currentHeaders.map(h => [h?.key, h?.value]));
+  const rpcHeaders = headers.map(h => (h?.value === '' && known.has(h.key) ? { ...h, value: known.get(h.key) } : h));
+
+  const rpcFallbacks = config.rpcFallbacks.map((fb) => {
+    const match = (current.rpcFallbacks || []).find(c => c.url === fb?.url);
+    if (!match || !fb.headers || typeof fb.headers !== 'object') return fb;
+    const filled = Object.entries(fb.headers).map(([k, v]) => [k, v === '' && typeof match.headers?.[k] === 'string' ? match.headers[k] : v]);
+    return { ...fb, headers: Object.fromEntries(filled) };
+  });
+
+  return { ...config, rpcHeaders: config.rpcHeaders ? JSON.stringify(rpcHeaders) : '', rpcFallbacks };
+}
+
+/** Wrap a config in the versioned export format. */
+function buildSettingsFile(config, { includeSecrets = false, profile = '' } = {}) {
+  const picked = { ...WNS_DEFAULTS, ...pickConfigKeys(config) };
+  // Older versions saved some numbers with no upper bound (a cache TTL of
+  // weeks); clamp them like Save does, so the file imports again
+  for (const [key, [min, max]] of Object.entries(NUMBER_RANGES)) {
+    if (Number.isInteger(picked[key])) picked[key] = Math.max(min, Math.min(max, picked[key]));
+  }
+  return {
+    format: SETTINGS_FORMAT,
+    version: SETTINGS_VERSION,
+    exportedAt: new Date().toISOString(),
+    profile: profile || null,
+    secretsOmitted: !includeSecrets,
+    config: includeSecrets ? picked : redactSecrets(picked),
+  };
+}
+
+/** Check imported keys and value types against WNS_DEFAULTS. Returns an error or null. */
+function checkConfigSchema(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return 'missing "config" object';
+  for (const [key, value] of Object.entries(config)) {
+    if (!(key in WNS_DEFAULTS)) return `unknown setting "${key}"`;
+    const expected = WNS_DEFAULTS[key];
+    if (Array.isArray(expected) !== Array.isArray(value) || typeof value !== typeof expected || value === null) {
+      return `"${key}" must be ${Array.isArray(expected) ? 'an array' : `a ${typeof expected}`}`;
+    }
+    if (key in NUMBER_RANGES) {
+      const [min, max] = NUMBER_RANGES[key];
+      if (!Number.isInteger(value) || value < min || value > max) return `"${key}" must be an integer from ${min} to ${max}`;
+    }
+    if (key in SELECT_INPUTS) {
+      const allowed = [...SELECT_INPUTS[key].options].map(o => o.value);
+      if (!allowed.includes(value)) return `"${key}" must be one of ${allowed.join(', ')}`;
+    }
+    if (STRING_LIST_KEYS.includes(key) && value.some(v => typeof v !== 'string')) {
+      return `"${key}" must be an array of strings`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse and validate an exported settings file. Missing settings take their
+ * defaults and redacted header values are refilled from `current`. Returns
+ * { config, profile } or { error }.
+ */
+function parseSettingsFile(text, current) {
+  let file;
+  try { file = JSON.parse(text); } catch {
+    return { error: 'not valid JSON' };
+  }
+  if (file?.format !== SETTINGS_FORMAT) return { error: 'not a WNS Resolver settings file' };
+  if (file.version !== SETTINGS_VERSION) return { error: `unsupported version ${file.version}` };
+  const schemaError = checkConfigSchema(file.config);
+  if (schemaError) return { error: schemaError };
+
+  const config = restoreSecrets({ ...WNS_DEFAULTS, ...file.config }, current);
+  const error = validateConfig(config);
+  if (error) return { error };
+  return { config: normalizeConfig(config), profile: typeof file.profile === 'string' ? file.profile : '' };
+}
+
+/** Offer `content` as a file download. */
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/** Offer `data` as a JSON file download. */
+function downloadJson(filename, data) {
+  downloadFile(filename, JSON.stringify(data, null, 2), 'application/json');
+}
+
+exportBtn.addEventListener('click', async () => {
+  const { activeProfile } = await getProfiles();
+  const includeSecrets = exportSecretsInput.checked;
+  const file = buildSettingsFile(await getConfig(), { includeSecrets, profile: activeProfile });
+  const slug = activeProfile.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  downloadJson(`wns-resolver-settings${slug ? `-${slug}` : ''}.json`, file);
+  showSuccess(includeSecrets ? 'Exported (including header values)' : 'Exported (header values omitted)');
+});
+
+importBtn.addEventListener('click', () => importFileInput.click());
+
+importFileInput.addEventListener('change', async () => {
+  const file = importFileInput.files[0];
+  importFileInput.value = '';
+  if (!file) return;
+  if (file.size > SETTINGS_MAX_BYTES) {
+    showError('Import failed: file is larger than 1 MB');
+    return;
+  }
+  const { config, profile, error } = parseSettingsFile(await file.text(), await getConfig());
+  if (error) {
+    showError(`Import failed: ${error}`);
+    return;
+  }
+  // Fill the form only; nothing is stored until Save or Save as Profile
+  populateForm(config);
+  if (profile) profileNameInput.value = profile;
+  showSuccess('Imported — review, then Save');
+});
+
+// ─── Address book ────────────────────────────────────────────────────────────
+
+/** One row per labelled address, sorted by label. Label edits save on change. */
+async function renderAddressBook() {
+  const book = await getAddressBook();
+  addressBookBody.replaceChildren();
+  const entries = Object.entries(book).sort(([, a], [, b]) => a.localeCompare(b));
+  if (!entries.length) {
+    const row = addressBookBody.insertRow();
+    const cell = row.insertCell();
+    cell.colSpan = 3;
+    cell.className = 'hint';
+    cell.textContent = 'No labels yet';
+    return;
+  }
+  for (const [address, label] of entries) {
+    const row = addressBookBody.insertRow();
+    const addrCell = row.insertCell();
+    addrCell.className = 'address';
+    addrCell.textContent = checksumAddress(address);
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.maxLength = PETNAME_MAX_LENGTH;
+    input.value = label;
+    input.addEventListener('change', async () => {
+      await setPetname(address, input.value);
+      showSuccess(cleanPetname(input.value) ? 'Label saved' : 'Label removed');
+    });
+    row.insertCell().appendChild(input);
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'remove-petname';
+    remove.title = 'Remove';
+    remove.textContent = '\u00d7';
+    remove.addEventListener('click', () => setPetname(address, ''));
+    row.insertCell().appendChild(remove);
+  }
+}
+
+addPetnameBtn.addEventListener('click', async () => {
+  const address = bookAddressInput.value.trim();
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+    showError('Address Book: enter a full 0x address');
+    return;
+  }
+  if (!cleanPetname(bookLabelInput.value)) {
+    showError('Address Book: enter a label');
+    return;
+  }
+  await setPetname(address, bookLabelInput.value);
+  bookAddressInput.value = '';
+  bookLabelInput.value = '';
+  showSuccess('Label saved');
+});
+
+exportBookBtn.addEventListener('click', async () => {
+  downloadFile('wns-resolver-address-book.csv', addressBookToCsv(await getAddressBook()), 'text/csv');
+  showSuccess('Address book exported');
+});
+
+importBookBtn.addEventListener('click', () => importBookFileInput.click());
+
+importBookFileInput.addEventListener('change', async () => {
+  const file = importBookFileInput.files[0];
+  importBookFileInput.value = '';
+  if (!file) return;
+  if (file.size > SETTINGS_MAX_BYTES) {
+    showError('Import failed: file is larger than 1 MB');
+    return;
+  }
+  const { entries, error } = parseAddressBookCsv(await file.text());
+  if (error) {
+    showError(`Import failed: ${error}`);
+    return;
+  }
+  await mergeAddressBook(entries);
+  const count = Object.keys(entries).length;
+  showSuccess(`Imported ${count} label${count === 1 ? '' : 's'}`);
+});
+
+// Re-render on every change, including labels set from a page's hover card
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes[ADDRESS_BOOK_KEY]) renderAddressBook();
+});
+
+renderAddressBook();
+
 function showSuccess(msg) {
   statusEl.textContent = msg;
   statusEl.style.color = '#2a7a2a';
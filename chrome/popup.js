@@ -2,3 +2,163 @@ document.getElementById('options').addEventListener('click', (e) => {
   e.preventDefault();
   chrome.runtime.openOptionsPage();
 });
+
+/** Shorten an address for display (0x1234…5678). */
+function shortAddress(addr) {
+  return `${addr.slice(0, 6)}…${addr.slice(-4)}`;
+}
+
+function listItem(left, right) {
+  const li = document.createElement('li');
+  const l = document.createElement('span');
+  l.className = 'mono';
+  l.textContent = left;
+  l.title = left;
+  li.appendChild(l);
+  if (right) {
+    const r = document.createElement('span');
+    r.textContent = right;
+    li.appendChild(r);
+  }
+  return li;
+}
+
+function renderStats(stats) {
+  const named = Object.entries(stats.names);
+  const unnamed = Object.keys(stats.unnamed);
+  if (!stats.scanned && !named.length && !unnamed.length && !stats.errors.length) return;
+
+  document.getElementById('noActivity').hidden = true;
+  document.getElementById('statsBody').hidden = false;
+  document.getElementById('scanned').textContent = stats.scanned;
+  document.getElementById('matched').textContent = stats.matched;
+  document.getElementById('namedCount').textContent = named.length;
+  document.getElementById('unnamedCount').textContent = unnamed.length;
+  document.getElementById('cacheHits').textContent = stats.cacheHits;
+  document.getElementById('rpc').textContent = `${stats.rpcLookups} / ${stats.rpcCalls}`;
+
+  const namedList = document.getElementById('namedList');
+  for (const [addr, name] of named) namedList.appendChild(listItem(shortAddress(addr), name));
+  const unnamedList = document.getElementById('unnamedList');
+  for (const addr of unnamed) unnamedList.appendChild(listItem(addr));
+
+  const errorsEl = document.getElementById('errors');
+  for (const { t, message } of stats.errors) {
+    const div = document.createElement('div');
+    div.className = 'error';
+    div.textContent = `${new Date(t).toLocaleTimeString()} — ${message}`;
+    errorsEl.appendChild(div);
+  }
+}
+
+/**
+ * Enable or disable an origin. Enabling always clears it from the denylist
+ * (and adds it to the allowlist in allowlist mode); disabling removes it from
+ * the allowlist in allowlist mode, otherwise adds it to the denylist.
+ */
+function setSiteEnabled(config, origin, enabled) {
+  const deny = (config.siteDenyList || []).filter(o => o !== origin);
+  const allow = (config.siteAllowList || []).filter(o => o !== origin);
+  if (enabled && config.siteMode === 'allowlist') allow.push(origin);
+  if (!enabled && config.siteMode !== 'allowlist') deny.push(origin);
+  return { siteDenyList: deny, siteAllowList: allow };
+}
+
+/** The tab's http(s) origin, or null (no URL access, or not a web page). */
+function tabOrigin(tab) {
+  try {
+    const url = new URL(tab.url);
+    if (url.protocol === 'https:' || url.protocol === 'http:') return url.origin;
+  } catch { /* no URL access (not granted) or unparsable */ }
+  return null;
+}
+
+async function initSiteToggle(tab) {
+  const origin = tabOrigin(tab);
+  if (!origin) return;
+
+  const config = await getConfig();
+  const checkbox = document.getElementById('siteEnabled');
+  const reloadBtn = document.getElementById('reloadTab');
+  document.getElementById('siteOrigin').textContent = origin;
+  checkbox.checked = isSiteEnabled(config, origin);
+  document.getElementById('site').hidden = false;
+
+  checkbox.addEventListener('change', async () => {
+    const current = await getConfig();
+    await setConfig(setSiteEnabled(current, origin, checkbox.checked));
+    reloadBtn.hidden = false;
+  });
+
+  const nameInput = document.getElementById('nameInputEnabled');
+  nameInput.checked = (config.nameInputSites || []).includes(origin);
+  nameInput.addEventListener('change', async () => {
+    const sites = ((await getConfig()).nameInputSites || []).filter(o => o !== origin);
+    if (nameInput.checked) sites.push(origin);
+    await setConfig({ nameInputSites: sites });
+    reloadBtn.hidden = false;
+  });
+  reloadBtn.addEventListener('click', () => {
+    chrome.tabs.reload(tab.id);
+    window.close();
+  });
+}
+
+/** Names ↔ original addresses switch for this tab, with its keyboard shortcut. */
+async function initReveal(tab) {
+  if (!tabOrigin(tab)) return;
+  const checkbox = document.getElementById('revealToggle');
+  const response = await chrome.runtime.sendMessage({ type: 'GET_REVEAL', tabId: tab.id });
+  checkbox.checked = response?.revealed === true;
+  document.getElementById('reveal').hidden = false;
+
+  checkbox.addEventListener('change', () => {
+    chrome.runtime.sendMessage({ type: 'SET_TAB_REVEAL', tabId: tab.id, revealed: checkbox.checked });
+  });
+
+  const commands = await chrome.commands.getAll();
+  const shortcut = commands.find(c => c.name === 'toggle-reveal')?.shortcut;
+  document.getElementById('revealShortcut').textContent = shortcut
+    ? `Shortcut: ${shortcut}`
+    : 'No shortcut set (chrome://extensions/shortcuts)';
+}
+
+/**
+ * Profile picker, shown once a profile exists. Switching applies the profile
+ * right away; the current page picks it up on reload.
+ */
+async function initProfiles(tab) {
+  const { profiles, activeProfile } = await getProfiles();
+  const names = Object.keys(profiles).sort();
+  if (!names.length) return;
+
+  const select = document.getElementById('profileSelect');
+  const reloadBtn = document.getElementById('reloadProfile');
+  if (!activeProfile) select.add(new Option('No profile', ''));
+  for (const name of names) select.add(new Option(name, name));
+  select.value = activeProfile;
+  document.getElementById('profiles').hidden = false;
+
+  select.addEventListener('change', async () => {
+    if (!(await switchProfile(select.value))) return;
+    chrome.runtime.sendMessage({ type: 'CLEAR_CACHE' });
+    // Site lists are part of the profile
+    const origin = tabOrigin(tab);
+    if (origin) document.getElementById('siteEnabled').checked = isSiteEnabled(await getConfig(), origin);
+    reloadBtn.hidden = false;
+  });
+  reloadBtn.addEventListener('click', () => {
+    chrome.tabs.reload(tab.id);
+    window.close();
+  });
+}
+
+(async () => {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab) return;
+  initProfiles(tab);
+  initSiteToggle(tab);
+  initReveal(tab);
+  const { stats } = await chrome.runtime.sendMessage({ type: 'GET_TAB_STATS', tabId: tab.id });
+  if (stats) renderStats(stats);
+})();
@@ -0,0 +1,141 @@
+/**
+ * Built-in site rule packs — per-site presets for popular explorers and dapps.
+ *
+ * Shared by content.js (merged into the matching rules in loadConfig) and
+ * options.js (the on/off list). Each pack applies on its hosts and their
+ * subdomains and carries:
+ *   hrefRules    — { pattern, group } rules, tried after the user's own
+ *   subjectHints — extra pickSubjectAddress scores: `path` (segment right
+ *                  before the address), `params` (query keys) and `hash`
+ *                  (text right before the address in the fragment)
+ *   exclude      — href patterns whose addresses are never replaced (assets,
+ *                  pools and other non-account addresses)
+ *
+ * Bump a pack's `version` when its rules change, and SITE_PACKS_VERSION when
+ * packs are added or removed. Packs are on unless listed in the
+ * disabledSitePacks setting, so new packs reach existing users.
+ */
+
+const SITE_PACKS_VERSION = 1;
+
+const SITE_PACKS = [
+  {
+    id: 'etherscan',
+    label: 'Etherscan family',
+    version: 1,
+    hosts: [
+      'etherscan.io', 'basescan.org', 'arbiscan.io', 'polygonscan.com', 'bscscan.com',
+      'lineascan.build', 'scrollscan.com', 'blastscan.io', 'gnosisscan.io', 'celoscan.io',
+    ],
+    hrefRules: [
+      // Token holder views: /token/0x…?a=0x… (the holder, not the token)
+      { pattern: '[?&]a=(0x[0-9a-fA-F]{40})', group: 1 },
+      { pattern: '/address/(0x[0-9a-fA-F]{40})', group: 1 },
+    ],
+    subjectHints: {
+      path: { '/nft/': -5 },
+    },
+    exclude: [
+      '/nft/0x[0-9a-fA-F]{40}/\\d', // NFT item pages name the collection contract
+    ],
+  },
+  {
+    id: 'blockscout',
+    label: 'Blockscout',
+    version: 1,
+    hosts: ['blockscout.com'],
+    hrefRules: [
+      { pattern: '/address/(0x[0-9a-fA-F]{40})', group: 1 },
+    ],
+    subjectHints: {
+      path: { '/token/': -5 },
+    },
+    exclude: [
+      '/token/0x[0-9a-fA-F]{40}/instance/', // NFT instances
+    ],
+  },
+  {
+    id: 'opensea',
+    label: 'OpenSea',
+    version: 1,
+    hosts: ['opensea.io'],
+    hrefRules: [
+      // Profiles: opensea.io/0x… and opensea.io/accounts/0x…
+      { pattern: '^https://(?:www\\.)?opensea\\.io/(?:accounts/)?(0x[0-9a-fA-F]{40})(?:[/?#]|$)', group: 1 },
+    ],
+    subjectHints: {
+      path: { '/accounts/': 10 },
+    },
+    exclude: [
+      '/(?:assets|item)/[a-z0-9-]+/0x[0-9a-fA-F]{40}', // NFT items name the collection contract
+    ],
+  },
+  {
+    id: 'uniswap',
+    label: 'Uniswap',
+    version: 1,
+    hosts: ['uniswap.org'],
+    hrefRules: [
+      { pattern: '/portfolio/(0x[0-9a-fA-F]{40})', group: 1 },
+    ],
+    subjectHints: {
+      path: { '/portfolio/': 10 },
+    },
+    exclude: [
+      '/explore/(?:tokens|pools)/', // token and pool contracts
+      '[?&](?:inputCurrency|outputCurrency|currencyA|currencyB)=',
+    ],
+  },
+  {
+    id: 'safe',
+    label: 'Safe',
+    version: 1,
+    hosts: ['app.safe.global'],
+    hrefRules: [
+      // ?safe=eth:0x… — the Safe itself, whatever other addresses the link carries
+      { pattern: '[?&]safe=[a-z0-9-]+:(0x[0-9a-fA-F]{40})', group: 1 },
+    ],
+    subjectHints: {},
+    exclude: [
+      '[?&]appUrl=', // Safe Apps launch links carry the app's own URL
+    ],
+  },
+  {
+    id: 'snapshot',
+    label: 'Snapshot',
+    version: 1,
+    hosts: ['snapshot.org', 'snapshot.box'],
+    hrefRules: [
+      // Hash routes: #/profile/0x… and #/s:space.eth/profile/0x…
+      { pattern: '#/(?:[^/]+/)?profile/(0x[0-9a-fA-F]{40})', group: 1 },
+    ],
+    subjectHints: {
+      hash: { '/profile/': 10 },
+    },
+    exclude: [],
+  },
+  {
+    id: 'tally',
+    label: 'Tally',
+    version: 1,
+    hosts: ['tally.xyz'],
+    hrefRules: [
+      { pattern: '/(?:profile|delegate)/(0x[0-9a-fA-F]{40})', group: 1 },
+    ],
+    subjectHints: {
+      path: { '/profile/': 10, '/delegate/': 10 },
+    },
+    exclude: [],
+  },
+];
+
+/** True when `hostname` is `host` or one of its subdomains. */
+function hostMatches(hostname, host) {
+  return hostname === host || hostname.endsWith(`.${host}`);
+}
+
+/** Packs that apply to `hostname` and are not turned off in config. */
+function activeSitePacks(config, hostname) {
+  const disabled = new Set(config.disabledSitePacks || []);
+  return SITE_PACKS.filter(pack => !disabled.has(pack.id) && pack.hosts.some(host => hostMatches(hostname, host)));
+}
@@ -0,0 +1,126 @@
+/**
+ * ABI codec tests — encodeMulticall, decodeAggregate3 and sanitizeName from
+ * background.js, checked against the stub's independent encoder/decoder, and
+ * the lookalike-name checks from confusables.js.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser } = require('./helpers/chrome');
+const { loadBackground } = require('./helpers/load');
+const { decodeAggregate3Call, encodeAggregate3Result, encodeString } = require('./helpers/rpc-stub');
+
+const bg = loadBackground(createBrowser().background);
+
+const WNS = '0x0000000000696760e15f265e828db644a0c242eb';
+const DNZN = '0x357836ffcb45307fa7ff2a574f505753c961902b';
+const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const ENS_REGISTRY = '0x00000000000c2e074ec69a0dfb2997ba6c7d2e1e';
+
+test('encodeMulticall matches the known aggregate3 encoding for one address', () => {
+  assert.equal(
+    bg.encodeMulticall([DNZN]),
+    '0x82ad56cb' +
+    '0000000000000000000000000000000000000000000000000000000000000020' +
+    '0000000000000000000000000000000000000000000000000000000000000001' +
+    '0000000000000000000000000000000000000000000000000000000000000020' +
+    '0000000000000000000000000000000000696760e15f265e828db644a0c242eb' +
+    '0000000000000000000000000000000000000000000000000000000000000001' +
+    '0000000000000000000000000000000000000000000000000000000000000060' +
+    '0000000000000000000000000000000000000000000000000000000000000024' +
+    '9af8b7aa000000000000000000000000357836ffcb45307fa7ff2a574f505753' +
+    'c961902b00000000000000000000000000000000000000000000000000000000',
+  );
+});
+
+test('encodeMulticall encodes one allowFailure reverseResolve call per address', () => {
+  const calls = decodeAggregate3Call(bg.encodeMulticall([DNZN, USDC, DNZN]));
+  assert.equal(calls.length, 3);
+  for (const call of calls) {
+    assert.equal(call.target, WNS);
+    assert.equal(call.allowFailure, true);
+    assert.equal(call.data.slice(0, 8), '9af8b7aa');
+  }
+  assert.deepEqual(calls.map(c => '0x' + c.data.slice(32)), [DNZN, USDC, DNZN]);
+});
+
+test('encodeMulticall adds an ENS registry resolver(node) block after the WNS calls', () => {
+  const calls = decodeAggregate3Call(bg.encodeMulticall([DNZN, USDC], ['wns', 'ens']));
+  assert.deepEqual(calls.map(c => c.target), [WNS, WNS, ENS_REGISTRY, ENS_REGISTRY]);
+  assert.equal(calls[2].data, '0178b8bf' + bg.reverseNode(DNZN));
+  assert.equal(calls[3].data, '0178b8bf' + bg.reverseNode(USDC));
+});
+
+test('namehash and reverseNode match the ENS reference values', () => {
+  assert.equal(bg.namehash('eth'), '93cdeb708b7545dc668eb9280176169d1c33cfd8ed6f04690a0bcc88a93fc4ae');
+  assert.equal(bg.namehash('addr.reverse'), '91d1777781884d03a6757a803996e38de2a42967fb37eeaca72729271025a9e2');
+  assert.equal(bg.reverseNode(DNZN.toUpperCase().replace('0X', '0x')), bg.namehash(`${DNZN.slice(2)}.addr.reverse`));
+});
+
+test('decodeAggregate3 returns names in call order, null for empty or failed results', () => {
+  const hex = encodeAggregate3Result([
+    { success: true, data: encodeString('dnzn.wei') },
+    { success: true, data: encodeString('') },
+    { success: false, data: '' },
+    { success: true, data: encodeString('z0r0z.wei') },
+  ]);
+  assert.deepEqual([...bg.decodeAggregate3(hex)], ['dnzn.wei', null, null, 'z0r0z.wei']);
+});
+
+test('decodeAggregate3 handles empty responses', () => {
+  assert.deepEqual([...bg.decodeAggregate3('0x')], []);
+  assert.deepEqual([...bg.decodeAggregate3(encodeAggregate3Result([]))], []);
+});
+
+test('decodeAggregate3 decodes multi-byte UTF-8 and strips control characters', () => {
+  const hex = encodeAggregate3Result([
+    { success: true, data: encodeString('café.wei') },
+    { success: true, data: encodeString('evil\u202Eiew.wei') },
+  ]);
+  assert.deepEqual([...bg.decodeAggregate3(hex)], ['café.wei', 'eviliew.wei']);
+});
+
+test('decodeAggregate3 rejects invalid UTF-8 and truncated strings', () => {
+  const invalid = '0'.repeat(62) + '20' + '0'.repeat(63) + '2' + 'fffe' + '0'.repeat(60);
+  const truncated = '0'.repeat(62) + '20' + '0'.repeat(62) + 'ff' + '61'.repeat(4);
+  const hex = encodeAggregate3Result([
+    { success: true, data: invalid },
+    { success: true, data: truncated },
+  ]);
+  assert.deepEqual([...bg.decodeAggregate3(hex)], [null, null]);
+});
+
+test('sanitizeName strips control, bidi and zero-width characters', () => {
+  assert.equal(bg.sanitizeName('dnzn.wei'), 'dnzn.wei');
+  assert.equal(bg.sanitizeName('dn\u0000zn\u001F.wei'), 'dnzn.wei');
+  assert.equal(bg.sanitizeName('\u202Ednzn\u202C.wei'), 'dnzn.wei');
+  assert.equal(bg.sanitizeName('d\u200Bn\u200Dz\uFEFFn\u2066.wei'), 'dnzn.wei');
+  assert.equal(bg.sanitizeName('a\u0085b'), 'ab');
+});
+
+test('sanitizeName returns null when nothing is left', () => {
+  assert.equal(bg.sanitizeName(''), null);
+  assert.equal(bg.sanitizeName('\u200B\u202E\u0000'), null);
+});
+
+test('sanitizeName truncates to 64 characters', () => {
+  const long = 'a'.repeat(100) + '.wei';
+  assert.equal(bg.sanitizeName(long), 'a'.repeat(64));
+});
+
+test('checkConfusable flags Cyrillic and fullwidth lookalikes with the name they read as', () => {
+  const check = name => JSON.parse(JSON.stringify(bg.checkConfusable(name)));
+  // vitаlik: one Cyrillic letter in a Latin label
+  assert.deepEqual(check('vitаlik.wei'), { reason: 'mixed-script', skeleton: 'vitalik.wei' });
+  // All Cyrillic, yet it reads as paypal
+  assert.deepEqual(check('раураӏ.wei'), { reason: 'confusable', skeleton: 'paypal.wei' });
+  assert.deepEqual(check('ｄｎｚｎ.wei'), { reason: 'confusable', skeleton: 'dnzn.wei' });
+  // Latin and Greek with no ASCII reading still mix scripts
+  assert.deepEqual(check('abcδ.wei'), { reason: 'mixed-script' });
+});
+
+test('checkConfusable leaves ASCII, accented, single-script and CJK names alone', () => {
+  for (const name of ['dnzn.wei', 'DNZN.wei', 'café.wei', 'привет.wei', 'tokyo東京.wei', '\u{1F98A}.wei']) {
+    assert.equal(bg.checkConfusable(name), null, name);
+  }
+});
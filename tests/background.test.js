@@ -0,0 +1,314 @@
+/**
+ * Background-only features driven through the chrome mock: the omnibox
+ * keyword, the context menus, avatars and lookalike addresses, against the
+ * local JSON-RPC stub.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('node:vm');
+const { createBrowser } = require('./helpers/chrome');
+const { loadBackground, waitFor } = require('./helpers/load');
+const { startRpcStub } = require('./helpers/rpc-stub');
+
+const DNZN = '0x357836ffcb45307fa7ff2a574f505753c961902b';
+const DNZN_CHECKSUMMED = '0x357836fFcB45307FA7ff2A574F505753c961902B';
+
+const TEST_CONFIG = {
+  cacheEnabled: false,
+  rpcCooldownMs: 0,
+  batchWindowMs: 0,
+  rpcMaxRetries: 0,
+};
+
+async function setup(t, stubOptions = {}) {
+  const stub = await startRpcStub(stubOptions);
+  t.after(() => stub.close());
+  const browser = createBrowser();
+  await browser.storage.local.set({ ...TEST_CONFIG, rpcUrl: stub.url });
+  const bg = loadBackground(browser.background);
+  return { stub, browser, bg };
+}
+
+// ─── Omnibox ────────────────────────────────────────────────────────────────
+
+/** Type into the omnibox and wait for the debounced answer. */
+async function type(browser, text) {
+  const before = browser.omnibox.defaultSuggestion;
+  for (const fn of browser.background.omnibox.onInputChanged.listeners) fn(text, () => {});
+  return waitFor(() => browser.omnibox.defaultSuggestion !== before
+    && !browser.omnibox.defaultSuggestion.description.startsWith('Look up')
+    && browser.omnibox.defaultSuggestion.description);
+}
+
+function enter(browser, text, disposition = 'currentTab') {
+  for (const fn of browser.background.omnibox.onInputEntered.listeners) fn(text, disposition);
+}
+
+test('parseOmniboxInput accepts addresses, names and bare labels', async (t) => {
+  const { bg } = await setup(t);
+  assert.deepEqual({ ...bg.parseOmniboxInput(` ${DNZN_CHECKSUMMED} `) }, { address: DNZN });
+  assert.deepEqual({ ...bg.parseOmniboxInput('DNZN.wei') }, { name: 'dnzn.wei' });
+  assert.deepEqual({ ...bg.parseOmniboxInput('dnzn') }, { name: 'dnzn.wei' });
+  assert.equal(bg.parseOmniboxInput('vitalik.eth'), null);
+  assert.equal(bg.parseOmniboxInput('two words'), null);
+});
+
+test('omnibox: an address suggests its primary name', async (t) => {
+  const { browser } = await setup(t, { names: { [DNZN]: 'dnzn.wei' } });
+  const description = await type(browser, DNZN);
+  assert.match(description, /<match>dnzn\.wei<\/match>/);
+  assert.match(description, new RegExp(DNZN_CHECKSUMMED));
+});
+
+test('omnibox: a name suggests its address and Enter opens the explorer', async (t) => {
+  const { namehash } = loadBackground(createBrowser().background);
+  const { browser } = await setup(t, { addresses: { [namehash('dnzn.wei')]: DNZN } });
+  const description = await type(browser, 'dnzn');
+  assert.match(description, new RegExp(DNZN_CHECKSUMMED));
+
+  enter(browser, 'dnzn', 'newForegroundTab');
+  await waitFor(() => browser.opened.length);
+  assert.deepEqual(browser.opened, [
+    { url: `https://etherscan.io/address/${DNZN_CHECKSUMMED}`, active: true, method: 'create' },
+  ]);
+});
+
+test('omnibox: names are escaped in the description markup', async (t) => {
+  const { browser } = await setup(t, { names: { [DNZN]: '<b>&x.wei' } });
+  const description = await type(browser, DNZN);
+  assert.match(description, /<match>&lt;b&gt;&amp;x\.wei<\/match>/);
+});
+
+test('omnibox: unknown names open nothing', async (t) => {
+  const { browser } = await setup(t);
+  const description = await type(browser, 'nobody.wei');
+  assert.match(description, /is not registered/);
+  enter(browser, 'nobody.wei');
+  await new Promise(r => setTimeout(r, 100));
+  assert.equal(browser.opened.length, 0);
+});
+
+test('omnibox: a slow lookup for earlier text does not replace the answer for newer text', async (t) => {
+  const { browser, bg } = await setup(t);
+  const pending = {};
+  bg.lookupOmniboxInput = input => new Promise((resolve) => { pending[input.name] = resolve; });
+  bg.describeOmniboxResult = result => result.description;
+  const change = text => browser.background.omnibox.onInputChanged.listeners.forEach(fn => fn(text, () => {}));
+  const settle = () => new Promise(r => setTimeout(r, 10));
+
+  change('dnzn');
+  await waitFor(() => pending['dnzn.wei']);
+  change('z0r0z');
+  await waitFor(() => pending['z0r0z.wei']);
+  pending['z0r0z.wei']({ description: 'z0r0z answer' });
+  await settle();
+  pending['dnzn.wei']({ description: 'stale dnzn answer' });
+  await settle();
+  assert.equal(browser.omnibox.defaultSuggestion.description, 'z0r0z answer');
+});
+
+// ─── Context menus ──────────────────────────────────────────────────────────
+
+/** Click a menu item; tab 1 answers COPY_TEXT like the content script. */
+async function click(browser, info) {
+  const copied = [];
+  browser.tab(1).runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type === 'COPY_TEXT') copied.push(message.text);
+    sendResponse({ ok: true });
+  });
+  const before = browser.notifications.length;
+  for (const fn of browser.background.contextMenus.onClicked.listeners) fn({ frameId: 0, ...info }, { id: 1 });
+  await waitFor(() => browser.notifications.length > before);
+  return { copied, notification: browser.notifications[browser.notifications.length - 1] };
+}
+
+test('context menus are registered on install', async (t) => {
+  const { browser } = await setup(t);
+  browser.install();
+  assert.deepEqual([...browser.menus.keys()], ['wns-resolve-address', 'wns-copy-name-address', 'wns-copy-original', 'wns-edit-petname']);
+});
+
+test('context menu: a selected address copies its name', async (t) => {
+  const { browser } = await setup(t, { names: { [DNZN]: 'dnzn.wei' } });
+  const { copied, notification } = await click(browser, {
+    menuItemId: 'wns-resolve-address',
+    selectionText: `sent to ${DNZN_CHECKSUMMED} yesterday`,
+  });
+  assert.deepEqual(copied, ['dnzn.wei']);
+  assert.equal(notification.title, 'dnzn.wei');
+});
+
+test('context menu: a link resolves the last address in its URL', async (t) => {
+  const { browser } = await setup(t, { names: { [DNZN]: 'dnzn.wei' } });
+  const { copied } = await click(browser, {
+    menuItemId: 'wns-resolve-address',
+    linkUrl: `https://etherscan.io/token/0x${'00'.repeat(20)}?a=${DNZN}`,
+  });
+  assert.deepEqual(copied, ['dnzn.wei']);
+});
+
+test('context menu: a selected .wei name copies its checksummed address', async (t) => {
+  const { namehash } = loadBackground(createBrowser().background);
+  const { browser } = await setup(t, { addresses: { [namehash('dnzn.wei')]: DNZN } });
+  const { copied, notification } = await click(browser, {
+    menuItemId: 'wns-copy-name-address',
+    selectionText: ' DNZN.wei ',
+  });
+  assert.deepEqual(copied, [DNZN_CHECKSUMMED]);
+  assert.equal(notification.message, DNZN_CHECKSUMMED);
+});
+
+test('context menu: selections without an address or name only notify', async (t) => {
+  const { browser, stub } = await setup(t);
+  const resolve = await click(browser, { menuItemId: 'wns-resolve-address', selectionText: 'hello' });
+  assert.equal(resolve.notification.title, 'No address found');
+  const copy = await click(browser, { menuItemId: 'wns-copy-name-address', selectionText: 'two words' });
+  assert.equal(copy.notification.title, 'Not a .wei name');
+  assert.deepEqual([...resolve.copied, ...copy.copied], []);
+  assert.equal(stub.requests.length, 0);
+});
+
+// ─── Scheduler ──────────────────────────────────────────────────────────────
+
+test('scheduler: a flush that fails before any RPC call rejects its callers instead of leaving them waiting', async (t) => {
+  const { bg } = await setup(t);
+  const scheduler = bg.createScheduler({ keyOf: input => input, field: 'n', fetchChunk: async () => new Map() });
+  bg.getConfig = () => Promise.reject(new Error('storage unavailable'));
+  const results = await scheduler.request(['a', 'b'], null, { maxBatchSize: 50, batchWindowMs: 0 });
+  assert.deepEqual([...results].map(r => r.status), ['rejected', 'rejected']);
+  assert.equal(results[0].reason.message, 'storage unavailable');
+});
+
+// ─── Degraded-state badge ───────────────────────────────────────────────────
+
+test('clearDegraded restores the default toolbar title', async (t) => {
+  const { browser, bg } = await setup(t);
+  bg.setDegraded(new Error('rate-limit'));
+  assert.equal(browser.badge.text, '!');
+  assert.match(browser.badge.title, /degraded \(rate-limit\)/);
+  bg.clearDegraded();
+  assert.equal(browser.badge.text, '');
+  assert.equal(browser.badge.title, 'Wei Name Service (WNS) Resolver');
+});
+
+// ─── Avatars ────────────────────────────────────────────────────────────────
+
+test('avatarSourceUrl accepts HTTPS, IPFS and raster data: URLs only', async (t) => {
+  const { bg } = await setup(t);
+  assert.equal(bg.avatarSourceUrl('https://img.example/a.png'), 'https://img.example/a.png');
+  assert.equal(bg.avatarSourceUrl('ipfs://bafyabc/a.png'), 'https://ipfs.io/ipfs/bafyabc/a.png');
+  assert.equal(bg.avatarSourceUrl('ipfs://ipfs/bafyabc'), 'https://ipfs.io/ipfs/bafyabc');
+  assert.equal(bg.avatarSourceUrl('data:image/png;base64,iVBORw0KGgo='), 'data:image/png;base64,iVBORw0KGgo=');
+  for (const refused of [
+    'http://img.example/a.png',
+    'data:image/svg+xml;base64,PHN2Zz4=',
+    'eip155:1/erc721:0xb47e3cd837ddf8e4c57f05d70ab865de6e193bbb/0',
+    'https://localhost/a.png',
+    'https://192.168.1.1/a.png',
+    'https://router.local/a.png',
+    'javascript:alert(1)',
+    undefined,
+  ]) {
+    assert.equal(bg.avatarSourceUrl(refused), null, String(refused));
+  }
+});
+
+test('fetchAvatar returns a data: URL within the MIME and size limits', async (t) => {
+  const { bg } = await setup(t);
+  const requests = [];
+  const respond = (body, type) => (url, init) => {
+    requests.push({ url, credentials: init.credentials, referrerPolicy: init.referrerPolicy });
+    return Promise.resolve(new Response(body, { headers: { 'content-type': type } }));
+  };
+
+  bg.fetch = respond(new Uint8Array([1, 2, 3]), 'image/png');
+  assert.equal(await bg.fetchAvatar('https://img.example/a.png'), 'data:image/png;base64,AQID');
+  assert.deepEqual(requests[0], { url: 'https://img.example/a.png', credentials: 'omit', referrerPolicy: 'no-referrer' });
+
+  bg.fetch = respond('<svg onload="alert(1)"/>', 'image/svg+xml');
+  assert.equal(await bg.fetchAvatar('https://img.example/a.svg'), null);
+
+  // No content-length to go by: the stream is cut off past the limit
+  const oversized = new ReadableStream({
+    pull(controller) { controller.enqueue(new Uint8Array(64 * 1024)); },
+  });
+  bg.fetch = respond(oversized, 'image/jpeg');
+  assert.equal(await bg.fetchAvatar('https://img.example/huge.jpg'), null);
+});
+
+test('fetchAvatar does not follow redirects, so a public host cannot send it to the LAN', async (t) => {
+  const { bg } = await setup(t);
+  const lan = 'https://192.168.1.1/admin.png';
+  bg.fetch = async (url, init) => {
+    if (init.redirect === 'manual') return new Response(null, { status: 302, headers: { location: lan } });
+    // What following it would have given
+    const res = new Response(new Uint8Array([1, 2, 3]), { headers: { 'content-type': 'image/png' } });
+    Object.defineProperty(res, 'url', { value: lan });
+    return res;
+  };
+  assert.equal(await bg.fetchAvatar('https://img.example/a.png'), null);
+});
+
+// ─── Lookalike addresses ────────────────────────────────────────────────────
+
+const TRUSTED = `0x1234${'a'.repeat(32)}5678`;
+const POISON = `0x1234${'b'.repeat(32)}5678`;
+const POISON_SHORT = `0x1234${'c'.repeat(32)}9678`; // matches 3 characters at the end only
+
+test('findLookalikes flags addresses sharing both ends with a used one, not a merely named one', async (t) => {
+  const { bg } = await setup(t);
+  bg.rememberNames([[TRUSTED, 'treasury.wei']]);
+  assert.deepEqual({ ...bg.findLookalikes([POISON], {}, 4) }, {}, 'anyone can name an address');
+  await bg.trustUsedAddress(TRUSTED);
+  const found = JSON.parse(JSON.stringify(bg.findLookalikes([TRUSTED, POISON, POISON_SHORT, DNZN], {}, 4)));
+  assert.deepEqual(found, { [POISON]: { trusted: TRUSTED, label: 'treasury.wei' } });
+  assert.deepEqual({ ...bg.findLookalikes([POISON], {}, 5) }, {}, 'the fifth character differs');
+
+  // Address book labels win over names, and labelled addresses are never flagged themselves
+  const book = { [TRUSTED]: 'Treasury multisig', [POISON_SHORT]: 'Other' };
+  assert.equal(bg.findLookalikes([POISON], book, 4)[POISON].label, 'Treasury multisig');
+  assert.deepEqual({ ...bg.findLookalikes([POISON], { [POISON]: 'Mine' }, 4) }, {});
+});
+
+test('detectLookalikes only remembers forward-verified, clean names, apart from used addresses', async (t) => {
+  const { bg } = await setup(t);
+  const nameMap = new Map([
+    [TRUSTED, { n: 'unchecked.wei', p: 'wns' }],
+    [DNZN, { n: 'dnzn.wei', p: 'wns', v: true }],
+    [POISON_SHORT, { n: 'dnzn-lookalike.wei', p: 'wns', v: true, c: { reason: 'mixed-script' } }],
+  ]);
+  assert.deepEqual({ ...await bg.detectLookalikes([POISON], nameMap) }, {});
+  assert.deepEqual([...vm.runInContext('namedAddresses.keys()', bg)], [DNZN]);
+  assert.equal(vm.runInContext('trustedAddresses.size', bg), 0);
+});
+
+test('named addresses never push used ones out of the trusted set', async (t) => {
+  const { bg } = await setup(t);
+  await bg.trustUsedAddress(TRUSTED);
+  const max = vm.runInContext('TRUSTED_ADDRESSES_MAX', bg);
+  const named = Array.from({ length: max + 1 }, (_, i) => `0x${(i + 1).toString(16).padStart(40, '0')}`);
+  await bg.detectLookalikes(named, new Map(named.map((address, i) => [address, { n: `holder${i}.wei`, v: true }])));
+  assert.equal(vm.runInContext('trustedAddresses.size', bg), 1);
+  assert.ok(vm.runInContext('namedAddresses.size', bg) <= vm.runInContext('NAMED_ADDRESSES_MAX', bg));
+  assert.equal((await bg.detectLookalikes([POISON], new Map()))[POISON].trusted, TRUSTED);
+});
+
+test('trustUsedAddress refuses lookalikes; CLEAR_TRUSTED_ADDRESSES forgets everything', async (t) => {
+  const { browser, bg } = await setup(t);
+  await bg.trustUsedAddress(TRUSTED);
+  await bg.trustUsedAddress(POISON);
+  assert.ok(bg.findLookalikes([POISON], {}, 4)[POISON], 'copying a lookalike does not trust it');
+
+  // A used address is exempt, even when it resembles another trusted one
+  await bg.trustUsedAddress(DNZN);
+  const poisonOfUsed = `0x3578${'0'.repeat(32)}902b`;
+  bg.rememberNames([[poisonOfUsed, 'poison.wei']]);
+  assert.deepEqual({ ...bg.findLookalikes([DNZN], {}, 4) }, {});
+  assert.ok(bg.findLookalikes([poisonOfUsed], {}, 4)[poisonOfUsed], 'a named address can still be a lookalike');
+
+  const response = await browser.background.runtime.sendMessage({ type: 'CLEAR_TRUSTED_ADDRESSES' });
+  assert.equal(response.cleared, 2);
+  assert.deepEqual({ ...bg.findLookalikes([POISON, poisonOfUsed], {}, 4) }, {});
+  assert.deepEqual(await browser.storage.local.get('trustedAddresses'), {});
+});
@@ -0,0 +1,158 @@
+/**
+ * Matching helper tests — parseHrefRules, matchAbbrToAddresses, the
+ * pickSubjectAddress tiers, site pack selection and display templates from
+ * content.js, run in a blank jsdom page.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser } = require('./helpers/chrome');
+const { loadContent } = require('./helpers/load');
+
+const window = loadContent(createBrowser().tab(1), { html: '<!DOCTYPE html><body></body>' });
+
+const DNZN = '0x357836ffcb45307fa7ff2a574f505753c961902b';
+const Z0R0Z = '0x1c0aa8ccd568d90d61659f060d1bfb1e6f855a20';
+const TOKEN = '0x00a6ba94bbb5474725515de88fe04f854f2dcb12';
+
+// ─── parseHrefRules ─────────────────────────────────────────────────────────
+
+test('parseHrefRules compiles patterns, defaulting group to 1', () => {
+  const rules = window.parseHrefRules(JSON.stringify([
+    { pattern: '[?&]a=(0x[0-9a-fA-F]{40})' },
+    { pattern: '/(u)/(0x[0-9a-fA-F]{40})', group: 2 },
+  ]));
+  assert.equal(rules.length, 2);
+  assert.equal(rules[0].re.source, '[?&]a=(0x[0-9a-fA-F]{40})');
+  assert.equal(rules[0].group, 1);
+  assert.equal(rules[1].group, 2);
+});
+
+test('parseHrefRules returns no rules for empty, invalid or non-array JSON', () => {
+  assert.equal(window.parseHrefRules('').length, 0);
+  assert.equal(window.parseHrefRules(null).length, 0);
+  assert.equal(window.parseHrefRules('{not json').length, 0);
+  assert.equal(window.parseHrefRules('{"pattern":"a"}').length, 0);
+});
+
+test('parseHrefRules skips entries without a pattern and invalid regexes', () => {
+  const rules = window.parseHrefRules(JSON.stringify([
+    null,
+    { group: 1 },
+    { pattern: 42 },
+    { pattern: '([unclosed' },
+    { pattern: 'ok=(0x[0-9a-f]{40})', group: '2' },
+  ]));
+  assert.equal(rules.length, 1);
+  assert.equal(rules[0].re.source, 'ok=(0x[0-9a-f]{40})');
+  assert.equal(rules[0].group, 1); // non-numeric group falls back to 1
+});
+
+// ─── matchAbbrToAddresses ───────────────────────────────────────────────────
+
+test('matchAbbrToAddresses matches prefix and suffix case-insensitively', () => {
+  assert.equal(window.matchAbbrToAddresses('0x3578...902b', [Z0R0Z, DNZN]), DNZN);
+  assert.equal(window.matchAbbrToAddresses('0x357836fF..3c961902B', [Z0R0Z, DNZN]), DNZN);
+  assert.equal(window.matchAbbrToAddresses('0x1C0A..5A20', [DNZN, Z0R0Z]), Z0R0Z);
+});
+
+test('matchAbbrToAddresses returns null without a match', () => {
+  assert.equal(window.matchAbbrToAddresses('0x3578...0000', [DNZN]), null);
+  assert.equal(window.matchAbbrToAddresses('dnzn.wei', [DNZN]), null);
+  assert.equal(window.matchAbbrToAddresses('0x357...902b', [DNZN]), null); // prefix too short
+  assert.equal(window.matchAbbrToAddresses('0x3578...902b', []), null);
+});
+
+test('matchAbbrToAddresses returns the first address that fits', () => {
+  const twin = '0x3578' + '0'.repeat(30) + '902b';
+  assert.equal(window.matchAbbrToAddresses('0x3578...902b', [twin, DNZN]), twin);
+});
+
+// ─── pickSubjectAddress ─────────────────────────────────────────────────────
+
+test('pickSubjectAddress returns the only address', () => {
+  assert.equal(window.pickSubjectAddress(`https://x.io/token/${TOKEN}`, [TOKEN], 'Token'), TOKEN);
+});
+
+test('pickSubjectAddress tier 1: abbreviated display text wins over URL structure', () => {
+  const href = `https://etherscan.io/address/${Z0R0Z}?a=${DNZN}`;
+  assert.equal(window.pickSubjectAddress(href, [Z0R0Z, DNZN], '0x3578...902b'), DNZN);
+});
+
+test('pickSubjectAddress tier 1: full display text matching one address', () => {
+  const href = `https://etherscan.io/address/${Z0R0Z}?a=${DNZN}`;
+  assert.equal(window.pickSubjectAddress(href, [Z0R0Z, DNZN], DNZN.toUpperCase().replace('0X', '0x')), DNZN);
+});
+
+test('pickSubjectAddress tier 2: /address/ path beats a token query param', () => {
+  const href = `https://etherscan.io/address/${DNZN}?token=${TOKEN}`;
+  assert.equal(window.pickSubjectAddress(href, [DNZN, TOKEN], 'View'), DNZN);
+});
+
+test('pickSubjectAddress tier 2: ?a= holder param beats the /token/ path', () => {
+  const href = `https://etherscan.io/token/${TOKEN}?a=${DNZN}`;
+  assert.equal(window.pickSubjectAddress(href, [TOKEN, DNZN], 'View'), DNZN);
+});
+
+test('pickSubjectAddress tier 2: holder= in the hash', () => {
+  const href = `https://etherscan.io/token/${TOKEN}#balances?holder=${DNZN}`;
+  assert.equal(window.pickSubjectAddress(href, [TOKEN, DNZN], 'View'), DNZN);
+});
+
+test('pickSubjectAddress tier 2: penalizes /contract/ paths', () => {
+  const href = `https://explorer.example/contract/${TOKEN}/${DNZN}`;
+  assert.equal(window.pickSubjectAddress(href, [TOKEN, DNZN], 'View'), DNZN);
+});
+
+test('pickSubjectAddress tier 3: falls back to the last address', () => {
+  const href = `https://explorer.example/compare/${DNZN}/${Z0R0Z}`;
+  assert.equal(window.pickSubjectAddress(href, [DNZN, Z0R0Z], 'Compare'), Z0R0Z);
+  assert.equal(window.pickSubjectAddress('not a url', [Z0R0Z, DNZN], 'Compare'), DNZN);
+});
+
+// ─── Site rule packs ────────────────────────────────────────────────────────
+
+test('activeSitePacks matches hosts and subdomains, minus disabled packs', () => {
+  const ids = (hostname, config = {}) => [...window.activeSitePacks(config, hostname).map(p => p.id)];
+  assert.deepEqual(ids('etherscan.io'), ['etherscan']);
+  assert.deepEqual(ids('sepolia.etherscan.io'), ['etherscan']);
+  assert.deepEqual(ids('app.uniswap.org'), ['uniswap']);
+  assert.deepEqual(ids('notetherscan.io'), []);
+  assert.deepEqual(ids('example.com'), []);
+  assert.deepEqual(ids('opensea.io', { disabledSitePacks: ['opensea'] }), []);
+});
+
+test('mergeSubjectHints layers pack hints over the defaults', () => {
+  const merged = window.mergeSubjectHints(window.activeSitePacks({}, 'tally.xyz'));
+  assert.equal(merged.path['/delegate/'], 10);
+  assert.equal(merged.path['/address/'], 10);
+  assert.equal(merged.params.a, 10);
+  assert.equal(window.mergeSubjectHints([]).path['/delegate/'], undefined);
+});
+
+// ─── Display templates ──────────────────────────────────────────────────────
+
+test('renderDisplayTemplate fills placeholders and splits off a trailing badge', () => {
+  const render = template => ({ ...window.renderDisplayTemplate(template, 'dnzn.wei', DNZN) });
+  assert.deepEqual(render('{name}'), { text: 'dnzn.wei', badge: false });
+  assert.deepEqual(render('{name} ({short})'), { text: 'dnzn.wei (0x3578…902B)', badge: false });
+  assert.deepEqual(render('{short} · {name}'), { text: '0x3578…902B · dnzn.wei', badge: false });
+  assert.deepEqual(render('{name} {badge}'), { text: 'dnzn.wei', badge: true });
+  assert.equal(render('{name} <{address}>').text, 'dnzn.wei <0x357836fFcB45307FA7ff2A574F505753c961902B>');
+  // Names are inserted as-is: no second pass over placeholders inside them
+  assert.equal({ ...window.renderDisplayTemplate('{name}', '{short}', DNZN) }.text, '{short}');
+});
+
+test('displayTemplateFor picks the most specific site template, else the global one', () => {
+  const config = {
+    displayTemplate: '{name} {badge}',
+    siteDisplayTemplates: [
+      { host: 'etherscan.io', template: '{name} ({short})' },
+      { host: 'sepolia.etherscan.io', template: '{short} · {name}' },
+    ],
+  };
+  assert.equal(window.displayTemplateFor(config, 'etherscan.io'), '{name} ({short})');
+  assert.equal(window.displayTemplateFor(config, 'sepolia.etherscan.io'), '{short} · {name}');
+  assert.equal(window.displayTemplateFor(config, 'example.com'), '{name} {badge}');
+  assert.equal(window.displayTemplateFor({}, 'example.com'), '{name}');
+});
@@ -0,0 +1,216 @@
+/**
+ * In-memory chrome.* mock.
+ *
+ * createBrowser() returns one shared set of storage areas plus two views of
+ * the API: `background` (what the service worker sees) and `tab(id)` (what a
+ * content script in that tab sees). runtime.sendMessage from a tab is
+ * delivered to the background's onMessage listeners with `sender.tab.id`
+ * set, and tabs.sendMessage from the background goes to that tab's
+ * listeners, the same way Chrome routes them.
+ */
+
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: fn => listeners.push(fn),
+    removeListener: (fn) => {
+      const i = listeners.indexOf(fn);
+      if (i !== -1) listeners.splice(i, 1);
+    },
+    hasListener: fn => listeners.includes(fn),
+  };
+}
+
+function createStorageArea(areaName, onChanged) {
+  const data = new Map();
+  const clone = v => (v === undefined ? v : JSON.parse(JSON.stringify(v)));
+
+  function notify(changes) {
+    if (Object.keys(changes).length) {
+      for (const fn of onChanged.listeners) fn(changes, areaName);
+    }
+  }
+
+  const area = {
+    data,
+    async get(keys) {
+      if (keys === null || keys === undefined) return Object.fromEntries([...data].map(([k, v]) => [k, clone(v)]));
+      if (typeof keys === 'string') keys = [keys];
+      if (Array.isArray(keys)) {
+        const out = {};
+        for (const k of keys) if (data.has(k)) out[k] = clone(data.get(k));
+        return out;
+      }
+      const out = {};
+      for (const [k, fallback] of Object.entries(keys)) out[k] = data.has(k) ? clone(data.get(k)) : fallback;
+      return out;
+    },
+    async set(items) {
+      const changes = {};
+      for (const [k, v] of Object.entries(items)) {
+        changes[k] = { oldValue: data.get(k), newValue: clone(v) };
+        data.set(k, clone(v));
+      }
+      notify(changes);
+    },
+    async remove(keys) {
+      const changes = {};
+      for (const k of [].concat(keys)) {
+        if (data.has(k)) changes[k] = { oldValue: data.get(k) };
+        data.delete(k);
+      }
+      notify(changes);
+    },
+    async clear() {
+      const changes = {};
+      for (const [k, v] of data) changes[k] = { oldValue: v };
+      data.clear();
+      notify(changes);
+    },
+  };
+
+  // Like Chrome, every method also accepts a trailing callback
+  for (const method of ['get', 'set', 'remove', 'clear']) {
+    const impl = area[method];
+    area[method] = (...args) => {
+      const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+      return withCallback(impl(...args), callback);
+    };
+  }
+  return area;
+}
+
+/**
+ * Deliver a message to onMessage listeners and resolve with the first
+ * response, following Chrome's rule that a listener must return true to
+ * answer asynchronously.
+ */
+function dispatchMessage(listeners, message, sender) {
+  return new Promise((resolve) => {
+    let pending = false;
+    let answered = false;
+    const sendResponse = (response) => {
+      if (answered) return;
+      answered = true;
+      resolve(response);
+    };
+    for (const fn of listeners) {
+      if (fn(message, sender, sendResponse) === true) pending = true;
+    }
+    if (!pending && !answered) resolve(undefined);
+  });
+}
+
+/** Accept both the promise and the callback form of sendMessage. */
+function withCallback(promise, callback) {
+  if (typeof callback !== 'function') return promise;
+  promise.then(callback);
+  return undefined;
+}
+
+const MANIFEST = require('../../chrome/manifest.json');
+
+function createBrowser() {
+  const onChanged = createEvent();
+  const storage = {
+    local: createStorageArea('local', onChanged),
+    sync: createStorageArea('sync', onChanged),
+    session: createStorageArea('session', onChanged),
+    onChanged,
+  };
+
+  const backgroundOnMessage = createEvent();
+  const tabListeners = new Map(); // tabId → onMessage event
+  const badge = { text: '', color: null, title: '' };
+  const opened = []; // { url, active?, method } from tabs.create / tabs.update
+  const omnibox = { defaultSuggestion: null };
+  const menus = new Map(); // id → create properties (with updates applied)
+  const notifications = []; // { title, message }
+
+  function tabEvent(tabId) {
+    if (!tabListeners.has(tabId)) tabListeners.set(tabId, createEvent());
+    return tabListeners.get(tabId);
+  }
+
+  const background = {
+    storage,
+    runtime: {
+      onMessage: backgroundOnMessage,
+      onInstalled: createEvent(),
+      onStartup: createEvent(),
+      lastError: undefined,
+      sendMessage: (message, callback) =>
+        withCallback(dispatchMessage(backgroundOnMessage.listeners, message, {}), callback),
+      getURL: path => `chrome-extension://test/${path}`,
+      getManifest: () => JSON.parse(JSON.stringify(MANIFEST)),
+    },
+    tabs: {
+      onUpdated: createEvent(),
+      onRemoved: createEvent(),
+      sendMessage: (tabId, message, options, callback) => withCallback(
+        dispatchMessage(tabEvent(tabId).listeners, message, {}),
+        typeof options === 'function' ? options : callback,
+      ),
+      create: async (props) => { opened.push({ ...props, method: 'create' }); },
+      update: async (props) => { opened.push({ ...props, method: 'update' }); },
+    },
+    omnibox: {
+      onInputChanged: createEvent(),
+      onInputEntered: createEvent(),
+      setDefaultSuggestion: (suggestion) => { omnibox.defaultSuggestion = suggestion; },
+    },
+    commands: {
+      onCommand: createEvent(),
+      getAll: async () => [{ name: 'toggle-reveal', shortcut: 'Alt+Shift+W' }],
+    },
+    contextMenus: {
+      onClicked: createEvent(),
+      create: (props) => { menus.set(props.id, { visible: true, ...props }); },
+      update: (id, props, callback) => {
+        Object.assign(menus.get(id) ?? {}, props);
+        callback?.();
+      },
+      removeAll: (callback) => {
+        menus.clear();
+        callback?.();
+      },
+    },
+    notifications: {
+      create: (options, callback) => {
+        notifications.push({ title: options.title, message: options.message });
+        callback?.(`notification-${notifications.length}`);
+      },
+      clear: () => {},
+    },
+    action: {
+      setBadgeText: ({ text }) => { badge.text = text; },
+      setBadgeBackgroundColor: ({ color }) => { badge.color = color; },
+      setTitle: ({ title }) => { badge.title = title; },
+    },
+  };
+
+  function tab(tabId, url = 'https://example.com/') {
+    return {
+      storage,
+      runtime: {
+        onMessage: tabEvent(tabId),
+        lastError: undefined,
+        sendMessage: (message, callback) => withCallback(
+          dispatchMessage(backgroundOnMessage.listeners, message, { tab: { id: tabId, url }, url }),
+          callback,
+        ),
+        getURL: path => `chrome-extension://test/${path}`,
+      },
+    };
+  }
+
+  /** Fire runtime.onInstalled, as Chrome does after install or update. */
+  function install() {
+    for (const fn of background.runtime.onInstalled.listeners) fn({ reason: 'install' });
+  }
+
+  return { storage, background, tab, badge, opened, omnibox, menus, notifications, install };
+}
+
+module.exports = { createBrowser };
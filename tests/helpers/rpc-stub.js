@@ -0,0 +1,135 @@
+/**
+ * Local JSON-RPC stub for Multicall3 aggregate3.
+ *
+ * Decodes each eth_call's aggregate3 calldata independently of
+ * background.js, answers every sub-call from canned tables and encodes a
+ * real (bool success, bytes returnData)[] response. Every decoded request is
+ * recorded in `requests` so tests can assert on batching.
+ */
+
+const http = require('node:http');
+
+const REVERSE_RESOLVE = '9af8b7aa';
+const RESOLVE = '4f896d4f';
+const ENS_RESOLVER = '0178b8bf';
+const ENS_NAME = '691f3431';
+const ENS_ADDR = '3b3b57de';
+const TEXT = '308e3386';
+
+const word = (hex, i) => hex.slice(i * 64, (i + 1) * 64);
+const pad = hex => hex.padStart(64, '0');
+const padRight = hex => hex.padEnd(Math.ceil(hex.length / 64) * 64, '0');
+
+/** Decode aggregate3 calldata into [{ target, allowFailure, data }]. */
+function decodeAggregate3Call(calldata) {
+  const hex = calldata.replace(/^0x/, '');
+  if (hex.slice(0, 8) !== '82ad56cb') throw new Error(`unexpected selector ${hex.slice(0, 8)}`);
+  const body = hex.slice(8);
+  const arrayStart = parseInt(word(body, 0), 16) * 2;
+  const array = body.slice(arrayStart);
+  const count = parseInt(word(array, 0), 16);
+  const elements = array.slice(64);
+
+  const calls = [];
+  for (let i = 0; i < count; i++) {
+    const tuple = elements.slice(parseInt(word(elements, i), 16) * 2);
+    const dataStart = parseInt(word(tuple, 2), 16) * 2;
+    const len = parseInt(tuple.slice(dataStart, dataStart + 64), 16);
+    calls.push({
+      target: '0x' + word(tuple, 0).slice(24),
+      allowFailure: parseInt(word(tuple, 1), 16) === 1,
+      data: tuple.slice(dataStart + 64, dataStart + 64 + len * 2),
+    });
+  }
+  return calls;
+}
+
+/** ABI-encode a single string return value. */
+function encodeString(str) {
+  const bytes = Buffer.from(str, 'utf8').toString('hex');
+  return pad('20') + pad((bytes.length / 2).toString(16)) + padRight(bytes);
+}
+
+/** ABI-encode (bool success, bytes returnData)[] as returned by aggregate3. */
+function encodeAggregate3Result(results) {
+  const encoded = results.map(({ success, data }) =>
+    pad(success ? '1' : '0') + pad('40') + pad((data.length / 2).toString(16)) + padRight(data));
+  let offset = results.length * 32;
+  const offsets = encoded.map((e) => {
+    const o = pad(offset.toString(16));
+    offset += e.length / 2;
+    return o;
+  });
+  return '0x' + pad('20') + pad(results.length.toString(16)) + offsets.join('') + encoded.join('');
+}
+
+/**
+ * Start the stub on a random local port.
+ *
+ * `names` maps lowercase address → primary name (reverseResolve);
+ * `addresses` maps tokenId hex (no 0x) → address (resolve) and `texts`
+ * tokenId hex → { key: value } (text(uint256,string)). `ens` holds
+ * ENS tables keyed by node hex: `resolvers` (registry resolver(node)),
+ * `names` (name(node)) and `addresses` (addr(node)). Unknown inputs answer
+ * with an empty string / zero address. `respond(request)` may return
+ * { status, body } to override the response entirely (e.g. to fail a call).
+ */
+async function startRpcStub({ names = {}, addresses = {}, texts = {}, ens = {}, respond } = {}) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const json = JSON.parse(raw);
+      const calls = decodeAggregate3Call(json.params[0].data);
+      const request = { json, calls, headers: req.headers };
+      requests.push(request);
+
+      const override = respond?.(request);
+      if (override) {
+        res.writeHead(override.status ?? 200, { 'Content-Type': 'application/json' });
+        res.end(typeof override.body === 'string' ? override.body : JSON.stringify(override.body));
+        return;
+      }
+
+      const results = calls.map(({ data }) => {
+        const selector = data.slice(0, 8);
+        const arg = data.slice(8, 72);
+        if (selector === REVERSE_RESOLVE) {
+          return { success: true, data: encodeString(names['0x' + arg.slice(24)] ?? '') };
+        }
+        if (selector === RESOLVE) {
+          return { success: true, data: pad((addresses[arg] ?? '0x0').replace(/^0x/, '')) };
+        }
+        if (selector === TEXT) {
+          const keyStart = 8 + parseInt(data.slice(72, 136), 16) * 2;
+          const keyLength = parseInt(data.slice(keyStart, keyStart + 64), 16);
+          const key = Buffer.from(data.slice(keyStart + 64, keyStart + 64 + keyLength * 2), 'hex').toString('utf8');
+          return { success: true, data: encodeString(texts[arg]?.[key] ?? '') };
+        }
+        if (selector === ENS_RESOLVER) {
+          return { success: true, data: pad((ens.resolvers?.[arg] ?? '0x0').replace(/^0x/, '')) };
+        }
+        if (selector === ENS_NAME) {
+          return { success: true, data: encodeString(ens.names?.[arg] ?? '') };
+        }
+        if (selector === ENS_ADDR) {
+          return { success: true, data: pad((ens.addresses?.[arg] ?? '0x0').replace(/^0x/, '')) };
+        }
+        return { success: false, data: '' };
+      });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: json.id, result: encodeAggregate3Result(results) }));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+module.exports = { startRpcStub, decodeAggregate3Call, encodeAggregate3Result, encodeString };
@@ -0,0 +1,236 @@
+/**
+ * Options page tests — settings import/export validation, named profiles and
+ * the address book, with options.html loaded in jsdom against the chrome mock.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser } = require('./helpers/chrome');
+const { loadPage, waitFor } = require('./helpers/load');
+
+const SECRET_HEADERS = JSON.stringify([{ key: 'Authorization', value: 'Bearer secret' }]);
+const SECRET_FALLBACKS = [{ url: 'https://rpc.example', headers: { 'x-api-key': 'k3y' } }];
+
+function setup() {
+  const browser = createBrowser();
+  const window = loadPage(browser.background, 'options.html');
+  return { browser, window };
+}
+
+/** Build a settings file around `config` the way a (redacted) export would. */
+function settingsFile(window, config, options) {
+  return JSON.stringify(window.buildSettingsFile(config, options));
+}
+
+// ─── Export / import ────────────────────────────────────────────────────────
+
+test('export leaves header values out unless secrets are included', () => {
+  const { window } = setup();
+  const config = { rpcHeaders: SECRET_HEADERS, rpcFallbacks: SECRET_FALLBACKS };
+
+  const redacted = JSON.parse(settingsFile(window, config));
+  assert.equal(redacted.format, 'wns-resolver-settings');
+  assert.equal(redacted.secretsOmitted, true);
+  assert.deepEqual(JSON.parse(redacted.config.rpcHeaders), [{ key: 'Authorization', value: '' }]);
+  assert.deepEqual(redacted.config.rpcFallbacks[0].headers, { 'x-api-key': '' });
+
+  const full = JSON.parse(settingsFile(window, config, { includeSecrets: true }));
+  assert.equal(full.config.rpcHeaders, SECRET_HEADERS);
+  assert.deepEqual(full.config.rpcFallbacks, SECRET_FALLBACKS);
+});
+
+test('import refills redacted header values from the current config', () => {
+  const { window } = setup();
+  const text = settingsFile(window, {
+    rpcUrl: 'https://work-rpc.example',
+    rpcHeaders: SECRET_HEADERS,
+    rpcFallbacks: SECRET_FALLBACKS,
+    siteDenyList: ['bank.example.com'],
+    textNodeSites: ['Forum.Example', 'https://discord.com/channels/1', 'https://forum.example'],
+  }, { profile: 'work RPC' });
+  const current = { rpcHeaders: SECRET_HEADERS, rpcFallbacks: SECRET_FALLBACKS };
+
+  const { config, profile, error } = window.parseSettingsFile(text, current);
+  assert.equal(error, undefined);
+  assert.equal(profile, 'work RPC');
+  assert.equal(config.rpcUrl, 'https://work-rpc.example');
+  assert.equal(config.rpcHeaders, SECRET_HEADERS);
+  assert.deepEqual(JSON.parse(JSON.stringify(config.rpcFallbacks)), SECRET_FALLBACKS);
+  assert.deepEqual([...config.siteDenyList], ['https://bank.example.com']);
+  assert.deepEqual([...config.textNodeSites], ['https://forum.example', 'https://discord.com']);
+});
+
+test('export clamps numbers older versions saved out of range, so the file imports again', () => {
+  const { window } = setup();
+  // The old save handler only kept the cache TTL at 1 minute or more
+  const text = settingsFile(window, { cacheTtlMinutes: 43200 });
+  assert.equal(JSON.parse(text).config.cacheTtlMinutes, 10080);
+
+  const { config, error } = window.parseSettingsFile(text, {});
+  assert.equal(error, undefined);
+  assert.equal(config.cacheTtlMinutes, 10080);
+});
+
+test('import rejects files that fail the schema or the save checks', () => {
+  const { window } = setup();
+  const parse = config => window.parseSettingsFile(settingsFile(window, config, { includeSecrets: true }), {}).error;
+  const wrap = body => window.parseSettingsFile(JSON.stringify(body), {}).error;
+
+  assert.equal(window.parseSettingsFile('{nope', {}).error, 'not valid JSON');
+  assert.equal(wrap({ config: {} }), 'not a WNS Resolver settings file');
+  assert.equal(wrap({ format: 'wns-resolver-settings', version: 2, config: {} }), 'unsupported version 2');
+  assert.equal(wrap({ format: 'wns-resolver-settings', version: 1, config: { evil: 1 } }), 'unknown setting "evil"');
+  assert.equal(parse({ logging: 'yes' }), '"logging" must be a boolean');
+  assert.equal(parse({ ignoreList: 'a' }), '"ignoreList" must be an array');
+  assert.equal(parse({ ignoreList: [1] }), '"ignoreList" must be an array of strings');
+  assert.equal(wrap({ format: 'wns-resolver-settings', version: 1, config: { maxBatchSize: 5000 } }),
+    '"maxBatchSize" must be an integer from 1 to 500');
+  assert.equal(parse({ verifyNames: 'maybe' }), '"verifyNames" must be one of off, mark, strict');
+  assert.equal(parse({ rpcUrl: 'http://rpc.example' }), 'RPC URL must use HTTPS (localhost/127.0.0.1 exempt)');
+  assert.match(parse({ hrefRules: JSON.stringify([{ pattern: '(a+)+' }]) }), /^Rule 1: nested quantifiers/);
+  assert.match(parse({ ethRe: '(x*)*' }), /^Full Address Pattern: nested quantifiers/);
+  assert.equal(parse({ explorerLinks: [{ label: 'x', url: 'http://x/{address}' }] }),
+    'Explorer Link 1: "url" must use HTTPS and contain {address}');
+  assert.equal(parse({ siteAllowList: ['not a host'] }), 'Site Allowlist: "not a host" is not a valid origin');
+  assert.equal(parse({ textNodeSites: ['not a host'] }), 'Bare Address Sites: "not a host" is not a valid origin');
+  assert.equal(parse({ rpcHeaders: '{"key":"a"}' }), 'RPC Request Headers: must be a JSON array of { "key", "value" } strings');
+  assert.equal(parse({ displayTemplate: '{short}' }), 'Display Template: must include {name}');
+  assert.equal(parse({ displayTemplate: '{badge} {name}' }), 'Display Template: {badge} must come last');
+  assert.equal(parse({ siteDisplayTemplates: [{ host: 'etherscan.io', template: '{name} {nope}' }] }),
+    'Per-Site Display Templates: etherscan.io: template unknown placeholder {nope}');
+  assert.equal(parse({ textRecordKeys: ['url', 'com twitter'] }), 'Text Records: "com twitter" is not a valid record key');
+  assert.equal(parse({ textRecordKeys: ['a', 'b', 'c', 'd', 'e', 'f'] }), 'Text Records: at most 5 extra keys');
+});
+
+test('per-site display templates are read as "hostname template" lines', async () => {
+  const { window } = setup();
+  await waitFor(() => window.document.getElementById('rpcUrl').value);
+  window.document.getElementById('siteDisplayTemplates').value = 'Etherscan.io  {name} ({short})\n\napp.safe.global {short} · {name}';
+  const config = window.collectForm();
+  assert.deepEqual(JSON.parse(JSON.stringify(config.siteDisplayTemplates)), [
+    { host: 'etherscan.io', template: '{name} ({short})' },
+    { host: 'app.safe.global', template: '{short} · {name}' },
+  ]);
+  window.document.getElementById('siteDisplayTemplates').value = 'etherscan.io';
+  assert.equal(window.collectForm(), null);
+  assert.equal(window.document.getElementById('status').textContent, 'Per-Site Display Templates: etherscan.io: template is empty');
+});
+
+test('every built-in site pack regex compiles and passes the ReDoS check', async () => {
+  const { window } = setup();
+  const packs = window.eval('SITE_PACKS');
+  assert.equal(new Set(packs.map(p => p.id)).size, packs.length);
+  for (const pack of packs) {
+    for (const pattern of [...pack.hrefRules.map(r => r.pattern), ...pack.exclude]) {
+      assert.equal(window.patternError(pattern), null, `${pack.id}: ${pattern}`);
+    }
+  }
+  // And the options page lists them all, on by default
+  await waitFor(() => window.document.querySelectorAll('#sitePacks input:checked').length === packs.length);
+});
+
+// ─── Profiles ───────────────────────────────────────────────────────────────
+
+test('switching profiles applies their snapshot; saves update the active one', async () => {
+  const { browser, window } = setup();
+  await window.saveProfile('public RPC', { rpcUrl: 'https://public.example' });
+  await window.saveProfile('work RPC', { rpcUrl: 'https://work.example', rpcHeaders: SECRET_HEADERS });
+
+  assert.equal(await window.switchProfile('public RPC'), true);
+  assert.equal((await window.getConfig()).rpcUrl, 'https://public.example');
+  assert.equal((await window.getConfig()).rpcHeaders, '');
+
+  await window.setConfig({ siteDenyList: ['https://bank.example.com'] });
+  await window.switchProfile('work RPC');
+  const work = await window.getConfig();
+  assert.equal(work.rpcUrl, 'https://work.example');
+  assert.equal(work.rpcHeaders, SECRET_HEADERS);
+  assert.deepEqual(work.siteDenyList, []);
+
+  await window.switchProfile('public RPC');
+  assert.deepEqual((await window.getConfig()).siteDenyList, ['https://bank.example.com']);
+  assert.equal(await window.switchProfile('missing'), false);
+
+  await window.deleteProfile('public RPC');
+  const { profiles, activeProfile } = await browser.storage.local.get(['profiles', 'activeProfile']);
+  assert.deepEqual(Object.keys(profiles), ['work RPC']);
+  assert.equal(activeProfile, '');
+});
+
+test('Save as Profile validates the form, stores it and selects the new profile', async () => {
+  const { browser, window } = setup();
+  await waitFor(() => window.document.getElementById('rpcUrl').value);
+  const doc = window.document;
+
+  doc.getElementById('rpcUrl').value = 'http://insecure.example';
+  doc.getElementById('profileName').value = 'work RPC';
+  doc.getElementById('saveProfile').click();
+  await waitFor(() => doc.getElementById('status').textContent.startsWith('RPC URL'));
+  assert.equal((await browser.storage.local.get('profiles')).profiles, undefined);
+
+  doc.getElementById('rpcUrl').value = 'https://work.example';
+  doc.getElementById('saveProfile').click();
+  await waitFor(() => doc.getElementById('profile').value === 'work RPC');
+  const { profiles, rpcUrl } = await browser.storage.local.get(['profiles', 'rpcUrl']);
+  assert.equal(rpcUrl, 'https://work.example');
+  assert.equal(profiles['work RPC'].rpcUrl, 'https://work.example');
+});
+
+// ─── Address book ───────────────────────────────────────────────────────────
+
+const TREASURY = '0x357836ffcb45307fa7ff2a574f505753c961902b';
+const DEPLOYER = '0x1c0aa8ccd568d90d61659f060d1bfb1e6f855a20';
+
+test('address book CSV round-trips labels, quoting commas and defusing formulas', () => {
+  const { window } = setup();
+  const book = { [TREASURY]: 'Treasury, multisig', [DEPLOYER]: '=HYPERLINK("x")' };
+
+  const csv = window.addressBookToCsv(book);
+  assert.equal(csv, [
+    'address,label',
+    '0x1C0Aa8cCD568d90d61659F060D1bFb1e6f855A20,"\'=HYPERLINK(""x"")"',
+    '0x357836fFcB45307FA7ff2A574F505753c961902B,"Treasury, multisig"',
+    '',
+  ].join('\r\n'));
+  assert.deepEqual({ ...window.parseAddressBookCsv(csv).entries }, book);
+});
+
+test('address book CSV import cleans labels and names the first bad line', () => {
+  const { window } = setup();
+  const parse = text => window.parseAddressBookCsv(text);
+
+  // Header optional, blank lines skipped, bidi and zero-width characters stripped
+  assert.deepEqual({ ...parse(`\uFEFF${TREASURY},Tre\u202Easury\u200B\n\n`).entries }, { [TREASURY]: 'Treasury' });
+  assert.equal(parse('address,label\n0x1234,short\n').error, 'Line 2: "0x1234" is not an address');
+  assert.equal(parse(`${TREASURY},\u200B\n`).error, 'Line 1: missing label');
+  assert.equal(window.cleanPetname('x'.repeat(100)).length, 64);
+});
+
+test('address book section adds, edits and removes labels', async () => {
+  const { browser, window } = setup();
+  const doc = window.document;
+  const rows = () => [...doc.querySelectorAll('#addressBook tbody tr')]
+    .filter(row => row.querySelector('input'))
+    .map(row => [row.cells[0].textContent, row.querySelector('input').value]);
+
+  doc.getElementById('bookAddress').value = 'not an address';
+  doc.getElementById('bookLabel').value = 'Treasury';
+  doc.getElementById('addPetname').click();
+  await waitFor(() => doc.getElementById('status').textContent === 'Address Book: enter a full 0x address');
+
+  doc.getElementById('bookAddress').value = TREASURY.toUpperCase().replace('0X', '0x');
+  doc.getElementById('addPetname').click();
+  await waitFor(() => rows().length === 1);
+  assert.deepEqual(rows(), [['0x357836fFcB45307FA7ff2A574F505753c961902B', 'Treasury']]);
+
+  const input = doc.querySelector('#addressBook tbody input');
+  input.value = 'Treasury multisig';
+  input.dispatchEvent(new window.Event('change'));
+  await waitFor(() => doc.querySelector('#addressBook tbody input') !== input);
+  assert.deepEqual(rows(), [['0x357836fFcB45307FA7ff2A574F505753c961902B', 'Treasury multisig']]);
+  assert.deepEqual((await browser.storage.local.get('addressBook')).addressBook, { [TREASURY]: 'Treasury multisig' });
+
+  doc.querySelector('#addressBook .remove-petname').click();
+  await waitFor(() => rows().length === 0);
+  assert.deepEqual((await browser.storage.local.get('addressBook')).addressBook, {});
+});
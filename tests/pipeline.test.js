@@ -0,0 +1,824 @@
+/**
+ * End-to-end pipeline tests: content.js in jsdom talks to background.js
+ * through the chrome mock, and background.js calls the local JSON-RPC stub.
+ * Nothing leaves the machine.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBrowser } = require('./helpers/chrome');
+const { loadBackground, loadContent, waitFor } = require('./helpers/load');
+const { startRpcStub } = require('./helpers/rpc-stub');
+
+const DNZN = '0x357836ffcb45307fa7ff2a574f505753c961902b';
+const DNZN_CHECKSUMMED = '0x357836fFcB45307FA7ff2A574F505753c961902B';
+const Z0R0Z = '0x1c0aa8ccd568d90d61659f060d1bfb1e6f855a20';
+const TOKEN = '0x00a6ba94bbb5474725515de88fe04f854f2dcb12';
+const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+
+const NAMES = {
+  [DNZN]: 'dnzn.wei',
+  [Z0R0Z]: 'z0r0z.wei',
+  [TOKEN]: 'token.wei', // must never show up: the token is never the subject
+};
+
+// No cache (no IndexedDB here), no rate limiting, no batching delay
+const TEST_CONFIG = {
+  cacheEnabled: false,
+  rpcCooldownMs: 0,
+  batchWindowMs: 0,
+  rpcMaxRetries: 0,
+};
+
+/** Start a stub, a background and one tab showing `fixture`. */
+async function setup(t, { fixture, html, url, globals, config = {}, stub: stubOptions = {} }) {
+  const stub = await startRpcStub({ names: NAMES, ...stubOptions });
+  t.after(() => stub.close());
+
+  const browser = createBrowser();
+  await browser.storage.local.set({ ...TEST_CONFIG, rpcUrl: stub.url, ...config });
+  loadBackground(browser.background);
+  const window = loadContent(browser.tab(1, url), { fixture, html, url, globals });
+  t.after(() => window.close());
+  return { stub, browser, window };
+}
+
+const resolved = window => window.document.querySelectorAll('[data-wns-resolved]');
+
+/** Record the addresses a tab reports as used (TRUST_ADDRESS). */
+function spyTrustAddress(window) {
+  const reported = [];
+  const { runtime } = window.chrome;
+  const send = runtime.sendMessage;
+  runtime.sendMessage = (message, ...rest) => {
+    if (message.type === 'TRUST_ADDRESS') reported.push(message.address);
+    return send(message, ...rest);
+  };
+  return reported;
+}
+
+test('test.html: every row shows its expected name in one batched call', async (t) => {
+  const { stub, window } = await setup(t, { fixture: 'test.html' });
+  await waitFor(() => resolved(window).length === 6);
+
+  const links = [...window.document.querySelectorAll('tbody a')].map(a => a.textContent);
+  assert.deepEqual(links, [
+    'z0r0z.wei',
+    'dnzn.wei',
+    'dnzn.wei',
+    'dnzn.wei',
+    'dnzn.wei',
+    'dnzn.wei',
+    '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', // no name
+  ]);
+
+  // Only subject addresses are looked up, deduplicated, in one aggregate3
+  assert.equal(stub.requests.length, 1);
+  const looked = stub.requests[0].calls.map(c => '0x' + c.data.slice(32)).sort();
+  assert.deepEqual(looked, [Z0R0Z, DNZN, USDC].sort());
+});
+
+test('matching fixture: relative hrefs, custom rules, ENS text and the ignore list', async (t) => {
+  const { window } = await setup(t, {
+    fixture: 'fixtures/matching.html',
+    url: `https://explorer.example/token/${TOKEN}`,
+    config: {
+      hrefRules: JSON.stringify([{ pattern: '[?&]to=(0x[0-9a-fA-F]{40})' }]),
+      ignoreList: ['0x1C0A…5A20'],
+    },
+  });
+  await waitFor(() => resolved(window).length === 2);
+
+  const text = id => window.document.getElementById(id).textContent;
+  assert.equal(text('relative'), 'dnzn.wei');
+  assert.equal(text('custom-rule'), 'z0r0z.wei');
+  assert.equal(text('ens'), 'z0r0z.eth');
+  assert.equal(text('ignored'), '0x1C0A…5A20');
+  assert.equal(text('label'), 'Deployer');
+  assert.equal(text('plain'), '0x1234…5678');
+});
+
+test('matching fixture: replaceEns also overwrites .eth display text', async (t) => {
+  const { window } = await setup(t, {
+    fixture: 'fixtures/matching.html',
+    url: `https://explorer.example/token/${TOKEN}`,
+    config: { replaceEns: true },
+  });
+  await waitFor(() => window.document.getElementById('ens').hasAttribute('data-wns-resolved'));
+  assert.equal(window.document.getElementById('ens').textContent, 'z0r0z.wei');
+});
+
+test('bare-address mode wraps and replaces addresses in text, skipping code and editable regions', async (t) => {
+  const { window } = await setup(t, {
+    fixture: 'fixtures/text-nodes.html',
+    url: 'https://forum.example/t/1',
+    config: { textNodeSites: ['forum.example'] },
+  });
+  await waitFor(() => resolved(window).length === 3);
+
+  const doc = window.document;
+  assert.equal(doc.getElementById('prose').textContent, 'Sent by dnzn.wei to z0r0z.wei yesterday.');
+  assert.equal(doc.getElementById('cell').textContent, 'dnzn.wei');
+  for (const id of ['pre', 'code', 'textarea', 'editable', 'script']) {
+    assert.equal(doc.getElementById(id).textContent.includes(DNZN), true, `#${id} untouched`);
+    assert.equal(doc.getElementById(id).querySelector('[data-wns-text]'), null);
+  }
+});
+
+test('bare-address mode is off for sites that did not opt in', async (t) => {
+  const { stub, window } = await setup(t, { fixture: 'fixtures/text-nodes.html', url: 'https://other.example/' });
+  await new Promise(r => setTimeout(r, 100));
+  assert.equal(stub.requests.length, 0);
+  assert.equal(window.document.querySelector('[data-wns-text]'), null);
+});
+
+test('mutations: links added later are resolved after the debounce', async (t) => {
+  const { window } = await setup(t, { html: '<!DOCTYPE html><body><div id="list"></div></body>' });
+  const a = window.document.createElement('a');
+  a.href = `https://etherscan.io/address/${DNZN}`;
+  a.textContent = DNZN;
+  window.document.getElementById('list').appendChild(a);
+
+  await waitFor(() => a.hasAttribute('data-wns-resolved'), 3000);
+  assert.equal(a.textContent, 'dnzn.wei');
+});
+
+test('reused rows: an anchor whose href or text the page changes is reverted at once, then looked up again', async (t) => {
+  const html = `<!DOCTYPE html><body>
+    <a id="a" href="https://etherscan.io/address/${DNZN}">${DNZN}</a>
+    <a id="b" href="https://etherscan.io/address/${Z0R0Z}">${Z0R0Z}</a>
+  </body>`;
+  const { stub, window } = await setup(t, { html });
+  await waitFor(() => resolved(window).length === 2);
+  const link = id => window.document.getElementById(id);
+  const mutationsDelivered = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  // A framework reuses the row for another address: new href, same text node
+  link('a').setAttribute('href', `https://etherscan.io/address/${Z0R0Z}`);
+  link('a').firstChild.data = Z0R0Z;
+  await mutationsDelivered();
+  assert.equal(link('a').textContent, Z0R0Z);
+  assert.equal(link('a').hasAttribute('data-wns-resolved'), false);
+  await waitFor(() => link('a').textContent === 'z0r0z.wei');
+  assert.equal(stub.requests.length, 2);
+
+  // Only the href changes, to an address without a name: the page's text comes back
+  link('b').setAttribute('href', `https://etherscan.io/address/${USDC}`);
+  await mutationsDelivered();
+  assert.equal(link('b').textContent, Z0R0Z);
+  await waitFor(() => stub.requests.length === 3);
+  assert.equal(link('b').hasAttribute('data-wns-resolved'), false);
+
+  // Only the text changes: the page's new text stays
+  link('a').firstChild.data = 'Alice';
+  await mutationsDelivered();
+  assert.equal(link('a').textContent, 'Alice');
+  assert.equal(link('a').hasAttribute('data-wns-resolved'), false);
+  await waitFor(() => stub.requests.length === 4);
+  await new Promise(r => setTimeout(r, 50));
+  assert.equal(link('a').textContent, 'Alice');
+});
+
+test('verification: names whose forward record differs are marked unverified', async (t) => {
+  // dnzn.wei points back; z0r0z.wei's forward record is someone else
+  const { namehash } = loadBackground(createBrowser().background);
+  const addresses = {
+    [namehash('dnzn.wei')]: DNZN,
+    [namehash('z0r0z.wei')]: USDC,
+  };
+  const html = `<!DOCTYPE html><body>
+    <a id="good" href="https://etherscan.io/address/${DNZN}">${DNZN}</a>
+    <a id="bad" href="https://etherscan.io/address/${Z0R0Z}">${Z0R0Z}</a>
+  </body>`;
+  const { stub, window } = await setup(t, { html, config: { verifyNames: 'mark' }, stub: { addresses } });
+  await waitFor(() => resolved(window).length === 2);
+
+  const good = window.document.getElementById('good');
+  const bad = window.document.getElementById('bad');
+  assert.equal(good.getAttribute('data-wns-verified'), 'true');
+  assert.equal(bad.getAttribute('data-wns-verified'), 'false');
+  assert.equal(bad.textContent, 'z0r0z.wei');
+  // Reverse lookups, then the forward check for the returned names
+  assert.equal(stub.requests.length, 2);
+});
+
+test('lookalike names: marked with a warning by default, hidden in strict mode', async (t) => {
+  const html = `<!DOCTYPE html><body>
+    <a id="a" href="https://etherscan.io/address/${DNZN}">${DNZN}</a>
+    <a id="z" href="https://etherscan.io/address/${Z0R0Z}">${Z0R0Z}</a>
+  </body>`;
+  // ԁnzn: Cyrillic komi de (U+0501) for the "d", the rest Latin
+  const stub = { names: { ...NAMES, [Z0R0Z]: '\u0501nzn.wei' } };
+
+  const marked = await setup(t, { html, stub });
+  await waitFor(() => resolved(marked.window).length === 2);
+  const z = marked.window.document.getElementById('z');
+  assert.equal(z.getAttribute('data-wns-confusable'), 'mixed-script');
+  assert.equal(z.querySelector('[data-wns-warning]').textContent, '\u26A0');
+  assert.equal(marked.window.document.getElementById('a').hasAttribute('data-wns-confusable'), false);
+  z.dispatchEvent(new marked.window.MouseEvent('mouseover', { bubbles: true }));
+  assert.match(marked.window.eval('hoverCard.card.textContent'), /reads as dnzn\.wei but is a different name/);
+
+  const strict = await setup(t, { html, stub, config: { confusableNames: 'strict' } });
+  await waitFor(() => resolved(strict.window).length === 1);
+  assert.equal(strict.window.document.getElementById('a').textContent, 'dnzn.wei');
+  assert.equal(strict.window.document.getElementById('z').textContent, Z0R0Z);
+});
+
+test('ENS fallback: only addresses without a WNS name are read from ENS', async (t) => {
+  const { reverseNode, namehash } = loadBackground(createBrowser().background);
+  const resolver = '0x' + '42'.repeat(20);
+  const ens = {
+    resolvers: { [reverseNode(DNZN)]: resolver, [reverseNode(Z0R0Z)]: resolver, [namehash('z0r0z.eth')]: resolver },
+    names: { [reverseNode(DNZN)]: 'dnzn.eth', [reverseNode(Z0R0Z)]: 'z0r0z.eth' },
+    addresses: { [namehash('z0r0z.eth')]: Z0R0Z },
+  };
+  const html = `<!DOCTYPE html><body>
+    <a id="wns" href="https://etherscan.io/address/${DNZN}">${DNZN}</a>
+    <a id="ens" href="https://etherscan.io/address/${Z0R0Z}">${Z0R0Z}</a>
+  </body>`;
+  const { stub, window } = await setup(t, {
+    html,
+    config: { nameProviders: 'wns,ens' },
+    stub: { names: { [DNZN]: 'dnzn.wei' }, ens },
+  });
+  await waitFor(() => resolved(window).length === 2);
+
+  const wns = window.document.getElementById('wns');
+  const ensAnchor = window.document.getElementById('ens');
+  assert.equal(wns.textContent, 'dnzn.wei');
+  assert.equal(wns.getAttribute('data-wns-provider'), 'wns');
+  assert.equal(ensAnchor.textContent, 'z0r0z.eth');
+  assert.equal(ensAnchor.getAttribute('data-wns-provider'), 'ens');
+
+  // Round 1: 2 reverseResolve + 2 resolver(node); round 2: name(node) for z0r0z only;
+  // rounds 3 and 4: the forward check of z0r0z.eth (registry resolver, then addr)
+  assert.equal(stub.requests.length, 4);
+  assert.equal(stub.requests[0].calls.length, 4);
+  assert.deepEqual(stub.requests[1].calls.map(c => c.target), [resolver]);
+  assert.deepEqual(stub.requests[3].calls.map(c => c.data.slice(0, 8)), ['3b3b57de']);
+});
+
+test('ENS only: WNS reverse records are not consulted', async (t) => {
+  const { reverseNode, namehash } = loadBackground(createBrowser().background);
+  const resolver = '0x' + '42'.repeat(20);
+  const html = `<!DOCTYPE html><body><a id="a" href="https://etherscan.io/address/${DNZN}">${DNZN}</a></body>`;
+  const { stub, window } = await setup(t, {
+    html,
+    config: { nameProviders: 'ens' },
+    stub: {
+      ens: {
+        resolvers: { [reverseNode(DNZN)]: resolver, [namehash('dnzn.eth')]: resolver },
+        names: { [reverseNode(DNZN)]: 'dnzn.eth' },
+        addresses: { [namehash('dnzn.eth')]: DNZN },
+      },
+    },
+  });
+  await waitFor(() => resolved(window).length === 1);
+  assert.equal(window.document.getElementById('a').textContent, 'dnzn.eth');
+  assert.ok(stub.requests[0].calls.every(c => c.data.startsWith('0178b8bf')));
+});
+
+test('ENS: a reverse record that does not resolve back is never shown, even with verification off', async (t) => {
+  const { reverseNode, namehash } = loadBackground(createBrowser().background);
+  const resolver = '0x' + '42'.repeat(20);
+  const html = `<!DOCTYPE html><body>
+    <a id="a" href="https://etherscan.io/address/${DNZN}">${DNZN}</a>
+    <a id="z" href="https://etherscan.io/address/${Z0R0Z}">${Z0R0Z}</a>
+  </body>`;
+  // Both claim vitalik.eth, which points at neither of them
+  const ens = {
+    resolvers: { [reverseNode(DNZN)]: resolver, [reverseNode(Z0R0Z)]: resolver, [namehash('vitalik.eth')]: resolver },
+    names: { [reverseNode(DNZN)]: 'vitalik.eth', [reverseNode(Z0R0Z)]: 'vitalik.eth' },
+    addresses: { [namehash('vitalik.eth')]: USDC },
+  };
+  const { stub, window } = await setup(t, {
+    html,
+    config: { nameProviders: 'ens,wns', verifyNames: 'off' },
+    stub: { names: { [DNZN]: 'dnzn.wei' }, ens },
+  });
+  await waitFor(() => resolved(window).length === 1);
+
+  // DNZN falls back to its WNS name; Z0R0Z has none and keeps its address
+  assert.equal(window.document.getElementById('a').textContent, 'dnzn.wei');
+  assert.equal(window.document.getElementById('a').getAttribute('data-wns-provider'), 'wns');
+  await waitFor(() => stub.requests.length === 4);
+  await new Promise(r => setTimeout(r, 50));
+  assert.equal(window.document.getElementById('z').textContent, Z0R0Z);
+  assert.equal(window.document.body.textContent.includes('vitalik.eth'), false);
+});
+
+test('site packs: OpenSea profiles resolve, NFT item links are excluded unless the pack is off', async (t) => {
+  const html = `<!DOCTYPE html><body>
+    <a id="profile" href="https://opensea.io/${DNZN}">0x3578...902b</a>
+    <a id="item" href="https://opensea.io/assets/ethereum/${Z0R0Z}/1">0x1c0a...5a20</a>
+  </body>`;
+  const url = 'https://opensea.io/collection/zorgz';
+  const on = await setup(t, { html, url });
+  await waitFor(() => resolved(on.window).length === 1);
+  await new Promise(r => setTimeout(r, 50));
+  assert.equal(on.window.document.getElementById('profile').textContent, 'dnzn.wei');
+  assert.equal(on.window.document.getElementById('item').textContent, '0x1c0a...5a20');
+  assert.deepEqual(on.stub.requests[0].calls.map(c => '0x' + c.data.slice(32)), [DNZN]);
+
+  const off = await setup(t, { html, url, config: { disabledSitePacks: ['opensea'] } });
+  await waitFor(() => resolved(off.window).length === 2);
+  assert.equal(off.window.document.getElementById('item').textContent, 'z0r0z.wei');
+});
+
+test('site packs: Safe links resolve the ?safe= address over others in the URL', async (t) => {
+  const html = `<!DOCTYPE html><body>
+    <a id="safe" href="https://app.safe.global/transactions/tx?safe=eth:${DNZN}&id=multisig_${DNZN}_0xabc">Safe</a>
+    <a id="owner" href="https://app.safe.global/home?safe=eth:${DNZN}">0x3578...902b</a>
+  </body>`;
+  const { window } = await setup(t, { html, url: 'https://app.safe.global/home' });
+  await waitFor(() => resolved(window).length === 1);
+  assert.equal(window.document.getElementById('owner').textContent, 'dnzn.wei');
+});
+
+test('reveal toggle: the shortcut swaps names and original text in place, without new lookups', async (t) => {
+  const html = `<!DOCTYPE html><body>
+    <a id="a" href="https://etherscan.io/address/${DNZN}"><b>${DNZN}</b></a>
+    <a id="abbr" href="https://etherscan.io/address/${Z0R0Z}">0x1c0a...5a20</a>
+  </body>`;
+  const { stub, browser, window } = await setup(t, { html });
+  await waitFor(() => resolved(window).length === 2);
+  const text = id => window.document.getElementById(id).textContent;
+  const bold = window.document.querySelector('#a b');
+
+  const press = () => {
+    for (const fn of browser.background.commands.onCommand.listeners) fn('toggle-reveal', { id: 1 });
+  };
+  press();
+  await waitFor(() => text('a') === DNZN);
+  assert.equal(text('abbr'), '0x1c0a...5a20');
+  assert.equal(window.document.querySelector('#a b'), bold); // same nodes, only text swapped
+
+  press();
+  await waitFor(() => text('a') === 'dnzn.wei');
+  assert.equal(text('abbr'), 'z0r0z.wei');
+  assert.equal(stub.requests.length, 1);
+});
+
+test('reveal toggle: links added while revealed keep their address until names are shown', async (t) => {
+  const { browser, window } = await setup(t, { html: '<!DOCTYPE html><body><div id="list"></div></body>' });
+  const state = await browser.background.runtime.sendMessage({ type: 'SET_TAB_REVEAL', tabId: 1, revealed: true });
+  assert.equal(state.revealed, true);
+
+  const a = window.document.createElement('a');
+  a.href = `https://etherscan.io/address/${DNZN}`;
+  a.textContent = DNZN;
+  window.document.getElementById('list').appendChild(a);
+  await waitFor(() => a.hasAttribute('data-wns-resolved'), 3000);
+  assert.equal(a.textContent, DNZN);
+
+  await browser.background.runtime.sendMessage({ type: 'SET_TAB_REVEAL', tabId: 1, revealed: false });
+  await waitFor(() => a.textContent === 'dnzn.wei');
+  assert.equal((await browser.background.runtime.sendMessage({ type: 'GET_REVEAL', tabId: 1 })).revealed, false);
+});
+
+test('context menu: copy original address copies a replaced anchor and explains anywhere else', async (t) => {
+  const html = `<!DOCTYPE html><body>
+    <a id="a" href="https://etherscan.io/address/${DNZN}">${DNZN}</a><p id="p">text</p>
+  </body>`;
+  const { browser, window } = await setup(t, { html });
+  browser.install();
+  await waitFor(() => resolved(window).length === 1);
+
+  const copied = [];
+  Object.defineProperty(window.navigator, 'clipboard', {
+    value: { writeText: async (text) => { copied.push(text); } },
+  });
+  const rightClick = id => window.document.getElementById(id)
+    .dispatchEvent(new window.MouseEvent('contextmenu', { bubbles: true }));
+
+  const copyOriginal = () => {
+    for (const fn of browser.background.contextMenus.onClicked.listeners) {
+      fn({ menuItemId: 'wns-copy-original', frameId: 0 }, { id: 1 });
+    }
+  };
+  assert.notEqual(browser.menus.get('wns-copy-original').visible, false);
+
+  rightClick('a');
+  copyOriginal();
+  await waitFor(() => browser.notifications.length === 1);
+  assert.deepEqual(copied, ['0x357836fFcB45307FA7ff2A574F505753c961902B']);
+
+  rightClick('p');
+  copyOriginal();
+  await waitFor(() => browser.notifications.length === 2);
+  assert.equal(browser.notifications[1].title, 'No replaced address');
+  assert.equal(copied.length, 1);
+});
+
+test('address book: labels win over on-chain names, are styled apart and follow edits live', async (t) => {
+  const html = `<!DOCTYPE html><body>
+    <a id="a" href="https://etherscan.io/address/${DNZN}">${DNZN}</a>
+    <a id="usdc" href="https://etherscan.io/address/${USDC}">${USDC}</a>
+    <a id="z" href="https://etherscan.io/address/${Z0R0Z}">${Z0R0Z}</a>
+  </body>`;
+  const { browser, window } = await setup(t, {
+    html,
+    config: { addressBook: { [DNZN]: 'Treasury multisig', [USDC]: 'USDC token' } },
+  });
+  await waitFor(() => resolved(window).length === 3);
+  const link = id => window.document.getElementById(id);
+
+  // A label overrides the WNS name, and also applies to addresses without one
+  assert.equal(link('a').textContent, 'Treasury multisig');
+  assert.equal(link('usdc').textContent, 'USDC token');
+  assert.ok(link('a').hasAttribute('data-wns-petname'));
+  assert.equal(link('a').style.fontStyle, 'italic');
+  assert.equal(link('a').hasAttribute('data-wns-provider'), false);
+  assert.equal(link('z').textContent, 'z0r0z.wei');
+  assert.equal(link('z').style.fontStyle, '');
+
+  // Edits elsewhere (options page, another tab) apply without a reload
+  await browser.storage.local.set({ addressBook: { [USDC]: 'USDC' } });
+  await waitFor(() => link('a').textContent === 'dnzn.wei');
+  assert.equal(link('a').hasAttribute('data-wns-petname'), false);
+  assert.equal(link('a').style.fontStyle, '');
+  assert.equal(link('a').getAttribute('data-wns-provider'), 'wns');
+  assert.equal(link('usdc').textContent, 'USDC');
+
+  // Without a label or a name, the original text comes back
+  await browser.storage.local.set({ addressBook: {} });
+  await waitFor(() => link('usdc').textContent === USDC);
+  assert.equal(link('usdc').hasAttribute('data-wns-resolved'), false);
+});
+
+test('lookalike addresses: an unnamed address imitating a labelled one is tagged until it is labelled', async (t) => {
+  const poison = `0x3578${'0'.repeat(32)}902b`; // same first and last 4 hex characters as DNZN
+  const html = `<!DOCTYPE html><body>
+    <a id="a" href="https://etherscan.io/address/${DNZN}">${DNZN}</a>
+    <a id="p" href="https://etherscan.io/address/${poison}">${poison}</a>
+  </body>`;
+  const { browser, window } = await setup(t, { html, config: { addressBook: { [DNZN]: 'Treasury multisig' } } });
+  const link = id => window.document.getElementById(id);
+  await waitFor(() => link('p').hasAttribute('data-wns-lookalike'));
+
+  assert.equal(link('p').textContent, poison);
+  assert.equal(link('p').previousElementSibling.textContent, '\u26A0 Lookalike');
+  assert.equal(link('a').hasAttribute('data-wns-lookalike'), false);
+  assert.equal(window.document.querySelectorAll('[data-wns-lookalike-tag]').length, 1);
+  // The trusted address is only in the closed hover card, which offers no Copy button
+  assert.equal(window.document.body.innerHTML.includes(DNZN_CHECKSUMMED), false);
+  link('p').dispatchEvent(new window.MouseEvent('mouseover', { bubbles: true }));
+  assert.match(window.eval('hoverCard.card.textContent'), new RegExp(`Starts and ends like Treasury multisig \\(${DNZN_CHECKSUMMED}\\)`));
+  const buttons = [...window.eval('hoverCard.card').querySelectorAll('button')].map(b => b.textContent);
+  assert.equal(buttons.some(text => text.startsWith('Copy')), false);
+
+  // Labelling it is the user vouching for it
+  await browser.storage.local.set({ addressBook: { [DNZN]: 'Treasury multisig', [poison]: 'Test wallet' } });
+  await waitFor(() => link('p').textContent === 'Test wallet');
+  assert.equal(link('p').hasAttribute('data-wns-lookalike'), false);
+  assert.equal(window.document.querySelectorAll('[data-wns-lookalike-tag]').length, 0);
+  assert.equal(link('p').style.outline, '');
+});
+
+test('marks leave the page\'s own inline styles as they were once they go', async (t) => {
+  const poison = `0x3578${'0'.repeat(32)}902b`; // same first and last 4 hex characters as DNZN
+  const html = `<!DOCTYPE html><body>
+    <a id="a" style="font-style: oblique; text-decoration: line-through" href="https://etherscan.io/address/${DNZN}">${DNZN}</a>
+    <a id="u" style="text-decoration: line-through" href="https://etherscan.io/address/${USDC}">${USDC}</a>
+    <a id="p" style="outline: 1px dashed blue" href="https://etherscan.io/address/${poison}">${poison}</a>
+  </body>`;
+  const { browser, window } = await setup(t, {
+    html,
+    config: { addressBook: { [DNZN]: 'Treasury multisig', [USDC]: 'Stablecoin' } },
+  });
+  const link = id => window.document.getElementById(id);
+  const outline = link('p').style.outline;
+  await waitFor(() => link('p').hasAttribute('data-wns-lookalike') && resolved(window).length === 2);
+  assert.equal(link('a').style.fontStyle, 'italic');
+  assert.notEqual(link('p').style.outline, outline);
+
+  // Labels move: a falls back to its on-chain name, u to its address, p is no longer a lookalike
+  await browser.storage.local.set({ addressBook: { [poison]: 'Test wallet' } });
+  await waitFor(() => link('p').textContent === 'Test wallet' && link('u').textContent === USDC);
+  assert.equal(link('a').textContent, 'dnzn.wei');
+  assert.equal(link('a').style.fontStyle, 'oblique');
+  assert.equal(link('a').style.textDecoration, 'line-through');
+  assert.equal(link('u').style.fontStyle, '');
+  assert.equal(link('u').style.textDecoration, 'line-through');
+  assert.equal(link('p').style.outline, outline);
+  assert.equal(link('p').style.fontStyle, 'italic');
+  await new Promise(r => setTimeout(r, 50));
+});
+
+test('address book: "Label this address…" edits the label in the hover card, not a page prompt', async (t) => {
+  const html = `<!DOCTYPE html><body><a id="a" href="https://etherscan.io/address/${DNZN}">${DNZN}</a></body>`;
+  const { browser, window } = await setup(t, { html });
+  browser.install();
+  await waitFor(() => resolved(window).length === 1);
+
+  // A page can replace window.prompt; the editor must not go through it
+  window.prompt = () => assert.fail('window.prompt was used');
+  const editLabel = () => {
+    window.document.getElementById('a').dispatchEvent(new window.MouseEvent('contextmenu', { bubbles: true }));
+    for (const fn of browser.background.contextMenus.onClicked.listeners) {
+      fn({ menuItemId: 'wns-edit-petname', frameId: 0 }, { id: 1 });
+    }
+  };
+  const card = () => window.eval('hoverCard?.card') ?? window.document.createElement('div');
+  const press = (key) => card().querySelector('input')
+    .dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true }));
+
+  // Esc leaves the book alone
+  editLabel();
+  await waitFor(() => card().querySelector('input'));
+  assert.equal(card().classList.contains('visible'), true);
+  assert.equal(card().querySelector('input').value, '');
+  press('Escape');
+  await waitFor(() => !card().classList.contains('visible'));
+  assert.equal((await browser.storage.local.get('addressBook')).addressBook, undefined);
+
+  editLabel();
+  await waitFor(() => card().classList.contains('visible'));
+  card().querySelector('input').value = '  Ops wallet ';
+  press('Enter');
+  await waitFor(() => window.document.getElementById('a').textContent === 'Ops wallet');
+  assert.equal(window.document.getElementById('a').style.fontStyle, 'italic');
+  assert.deepEqual((await browser.storage.local.get('addressBook')).addressBook, { [DNZN]: 'Ops wallet' });
+
+  // Editing again starts from the current label
+  editLabel();
+  await waitFor(() => card().classList.contains('visible'));
+  assert.equal(card().querySelector('input').value, 'Ops wallet');
+  press('Escape');
+  await new Promise(r => setTimeout(r, 50));
+});
+
+test('display templates: per-site template with a badge, built from text nodes and hidden while revealed', async (t) => {
+  const html = `<!DOCTYPE html><body>
+    <a id="a" href="https://etherscan.io/address/${DNZN}">${DNZN}</a>
+    <a id="z" href="https://etherscan.io/address/${Z0R0Z}">${Z0R0Z}</a>
+  </body>`;
+  const { browser, window } = await setup(t, {
+    html,
+    url: 'https://app.example.org/',
+    config: {
+      displayTemplate: '{name} ({short})',
+      siteDisplayTemplates: [{ host: 'example.org', template: '{short} · {name} {badge}' }],
+      addressBook: { [Z0R0Z]: '<img src=x onerror=alert(1)>' },
+    },
+  });
+  await waitFor(() => resolved(window).length === 2);
+  const a = window.document.getElementById('a');
+  const z = window.document.getElementById('z');
+
+  assert.equal(a.firstChild.textContent, '0x3578…902B · dnzn.wei');
+  assert.equal(a.querySelector('[data-wns-badge]').textContent, 'WNS');
+  assert.equal(z.querySelector('[data-wns-badge]').textContent, 'label');
+  assert.equal(z.querySelector('img'), null); // label text stays text
+  assert.match(z.textContent, /^0x1C0A…5A20 · <img/);
+
+  for (const fn of browser.background.commands.onCommand.listeners) fn('toggle-reveal', { id: 1 });
+  await waitFor(() => a.firstChild.textContent === DNZN);
+  const badge = a.querySelector('[data-wns-badge]');
+  assert.equal(badge.hidden, true);
+  assert.equal(window.getComputedStyle(badge).display, 'none'); // no inline display overriding [hidden]
+});
+
+test('text records: avatar and extra records come in one follow-up batch, the image via the background', async (t) => {
+  const AVATAR = 'data:image/png;base64,iVBORw0KGgo=';
+  const html = `<!DOCTYPE html><body>
+    <a id="a" href="https://etherscan.io/address/${DNZN}">${DNZN}</a>
+    <a id="z" href="https://etherscan.io/address/${Z0R0Z}">${Z0R0Z}</a>
+  </body>`;
+  const { namehash } = loadBackground(createBrowser().background);
+  const { stub, browser, window } = await setup(t, {
+    html,
+    config: { textRecords: true, textRecordKeys: ['url'] },
+    stub: {
+      texts: {
+        [namehash('dnzn.wei')]: { avatar: AVATAR, url: 'https://dnzn.example' },
+        [namehash('z0r0z.wei')]: { avatar: 'http://insecure.example/z.png' }, // refused: not HTTPS
+      },
+    },
+  });
+  const avatar = await waitFor(() => window.document.querySelector('#a img[data-wns-avatar]'));
+  assert.equal(avatar.src, AVATAR);
+  assert.equal(window.document.getElementById('a').textContent, 'dnzn.wei');
+  assert.equal(window.document.querySelector('#z img'), null);
+
+  // Reverse lookups first, then avatar + url for both names in one call
+  assert.equal(stub.requests[0].calls.length, 2);
+  assert.deepEqual(stub.requests[1].calls.map(c => c.data.slice(0, 8)), Array(4).fill('308e3386'));
+
+  window.document.getElementById('a').dispatchEvent(new window.MouseEvent('mouseover', { bubbles: true }));
+  assert.match(window.eval('hoverCard.card.textContent'), /url: https:\/\/dnzn\.example/);
+
+  for (const fn of browser.background.commands.onCommand.listeners) fn('toggle-reveal', { id: 1 });
+  await waitFor(() => avatar.hidden);
+  assert.equal(window.document.getElementById('a').textContent, DNZN);
+});
+
+test('text records: off by default — no extra call and no avatar request', async (t) => {
+  const html = `<!DOCTYPE html><body><a id="a" href="https://etherscan.io/address/${DNZN}">${DNZN}</a></body>`;
+  const { stub, browser, window } = await setup(t, { html });
+  await waitFor(() => resolved(window).length === 1);
+  assert.equal(stub.requests.length, 1);
+  const answer = await browser.tab(1).runtime.sendMessage({ type: 'GET_AVATAR', address: DNZN });
+  assert.equal(answer.dataUrl, null);
+  assert.equal(stub.requests.length, 1);
+});
+
+test('name input helper: a .wei name in an address field is filled on Enter via the native setter', async (t) => {
+  // The link tells us when the content script has finished starting up
+  const html = `<!DOCTYPE html><body><a href="https://etherscan.io/address/${Z0R0Z}">${Z0R0Z}</a><form>
+    <label for="to">Recipient</label><input id="to" type="text">
+  </form></body>`;
+  const { namehash } = loadBackground(createBrowser().background);
+  const { window } = await setup(t, {
+    html,
+    config: { nameInputSites: ['https://example.com'] },
+    stub: { addresses: { [namehash('dnzn.wei')]: DNZN } },
+  });
+  await waitFor(() => resolved(window).length === 1);
+  const input = window.document.getElementById('to');
+
+  // A framework-style value tracker on the instance: a native fill bypasses it
+  const proto = Object.getOwnPropertyDescriptor(window.HTMLInputElement.prototype, 'value');
+  const trackedSets = [];
+  Object.defineProperty(input, 'value', {
+    get() { return proto.get.call(this); },
+    set(v) { trackedSets.push(v); proto.set.call(this, v); },
+  });
+  const events = [];
+  input.addEventListener('input', e => events.push(`input:${e.target.value}`));
+  input.addEventListener('change', e => events.push(`change:${e.target.value}`));
+  const reported = spyTrustAddress(window);
+  // jsdom cannot dispatch trusted events: count these as the user's
+  window.isUserEvent = () => true;
+
+  input.focus();
+  input.value = 'dnzn.wei';
+  input.dispatchEvent(new window.Event('input', { bubbles: true }));
+  const enter = () => {
+    const e = new window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true, cancelable: true });
+    input.dispatchEvent(e);
+    return e.defaultPrevented;
+  };
+  await waitFor(enter, 3000);
+
+  const checksummed = '0x357836fFcB45307FA7ff2A574F505753c961902B';
+  assert.equal(input.value, checksummed);
+  assert.deepEqual(trackedSets, ['dnzn.wei']);
+  assert.deepEqual(events, ['input:dnzn.wei', `input:${checksummed}`, `change:${checksummed}`]);
+  assert.equal(enter(), false); // nothing pending: Enter submits as usual
+  assert.deepEqual(reported, [DNZN]);
+});
+
+test('name input helper: page-dispatched typing and Enter neither look up, fill nor report', async (t) => {
+  const html = `<!DOCTYPE html><body><a href="https://etherscan.io/address/${Z0R0Z}">${Z0R0Z}</a>
+    <input id="to" placeholder="0x… or name"></body>`;
+  const { namehash } = loadBackground(createBrowser().background);
+  const { window, stub } = await setup(t, {
+    html,
+    config: { nameInputSites: ['https://example.com'] },
+    stub: { addresses: { [namehash('dnzn.wei')]: DNZN } },
+  });
+  await waitFor(() => resolved(window).length === 1);
+  const before = stub.requests.length;
+  const reported = spyTrustAddress(window);
+  const input = window.document.getElementById('to');
+
+  input.focus();
+  input.value = 'dnzn.wei';
+  input.dispatchEvent(new window.Event('input', { bubbles: true }));
+  await new Promise(r => setTimeout(r, 400));
+  const enter = new window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true, cancelable: true });
+  input.dispatchEvent(enter);
+
+  assert.equal(stub.requests.length, before);
+  assert.equal(enter.defaultPrevented, false);
+  assert.equal(input.value, 'dnzn.wei');
+  assert.deepEqual(reported, []);
+});
+
+test('name input helper: off unless the origin opted in, and never on non-address fields', async (t) => {
+  const html = `<!DOCTYPE html><body><a href="https://etherscan.io/address/${Z0R0Z}">${Z0R0Z}</a>
+    <input id="to" placeholder="0x… or name"><input id="q" name="q"></body>`;
+  const type = async ({ window, stub }, id) => {
+    await waitFor(() => resolved(window).length === 1);
+    const before = stub.requests.length;
+    const input = window.document.getElementById(id);
+    window.isUserEvent = () => true;
+    input.focus();
+    input.value = 'dnzn.wei';
+    input.dispatchEvent(new window.Event('input', { bubbles: true }));
+    await new Promise(r => setTimeout(r, 400));
+    return stub.requests.length - before;
+  };
+
+  assert.equal(await type(await setup(t, { html }), 'to'), 0);
+  assert.equal(await type(await setup(t, { html, config: { nameInputSites: ['https://example.com'] } }), 'q'), 0);
+});
+
+/**
+ * A stand-in for IntersectionObserver: `inView(element)` decides what is in
+ * range, and scroll(next) changes it and notifies every observer.
+ */
+function fakeViewport(inView) {
+  const observers = [];
+  class IntersectionObserver {
+    constructor(callback) {
+      this.callback = callback;
+      this.targets = new Set();
+      this.initial = [];
+      observers.push(this);
+    }
+
+    observe(target) {
+      this.targets.add(target);
+      // Like the real one, report the initial state of new targets, batched
+      if (!this.initial.length) setTimeout(() => this.report(this.initial.splice(0)), 0);
+      this.initial.push(target);
+    }
+
+    unobserve(target) { this.targets.delete(target); }
+
+    report(targets) {
+      const entries = targets.filter(target => this.targets.has(target))
+        .map(target => ({ target, isIntersecting: inView(target) }));
+      if (entries.length) this.callback(entries, this);
+    }
+  }
+  return {
+    IntersectionObserver,
+    scroll(next) {
+      inView = next;
+      for (const observer of observers) observer.report([...observer.targets]);
+    },
+  };
+}
+
+test('lazy resolution: only links near the viewport are looked up, the rest as they scroll into view', async (t) => {
+  const rows = Array.from({ length: 300 }, (_, i) => `0x${(i + 1).toString(16).padStart(40, '0')}`);
+  const html = `<!DOCTYPE html><body>${rows.map((address, i) =>
+    `<div><a id="r${i}" href="https://etherscan.io/address/${address}">${address}</a></div>`).join('')}</body>`;
+  const row = element => Number(element.id.slice(1));
+  const viewport = fakeViewport(element => row(element) < 20);
+  // Idle callbacks with no time to spare: each one walks the minimum slice
+  let idleCallbacks = 0;
+  const requestIdleCallback = (work) => {
+    idleCallbacks++;
+    setTimeout(() => work({ didTimeout: false, timeRemaining: () => 0 }), 0);
+  };
+  const { stub, window } = await setup(t, {
+    html,
+    config: { lazyResolution: true },
+    stub: { names: Object.fromEntries(rows.map((address, i) => [address, `holder${i}.wei`])) },
+    globals: { IntersectionObserver: viewport.IntersectionObserver, requestIdleCallback },
+  });
+  const lookedUp = () => stub.requests.flatMap(r => r.calls.map(c => '0x' + c.data.slice(32)));
+
+  await waitFor(() => resolved(window).length === 20);
+  // 600 elements (a <div> and an <a> per row), 200 per callback
+  assert.ok(idleCallbacks >= 3, `the walk spans idle callbacks (${idleCallbacks})`);
+  assert.deepEqual(lookedUp().sort(), rows.slice(0, 20).sort());
+  assert.equal(window.document.getElementById('r19').textContent, 'holder19.wei');
+  assert.equal(window.document.getElementById('r20').textContent, rows[20]);
+
+  // Scrolling on: only the newly visible rows are looked up, each once
+  viewport.scroll(element => row(element) >= 10 && row(element) < 40);
+  await waitFor(() => resolved(window).length === 40);
+  assert.deepEqual(lookedUp().sort(), rows.slice(0, 40).sort());
+  assert.equal(window.document.getElementById('r299').textContent, rows[299]);
+});
+
+test('lazy resolution: bare addresses are only wrapped and looked up near the viewport', async (t) => {
+  const rows = Array.from({ length: 100 }, (_, i) => `0x${(i + 1).toString(16).padStart(40, '0')}`);
+  const html = `<!DOCTYPE html><body>${rows.map((address, i) => `<div id="t${i}">Paid by ${address}</div>`).join('')}</body>`;
+  const row = element => Number(element.id.slice(1));
+  const viewport = fakeViewport(element => row(element) < 10);
+  const { stub, window } = await setup(t, {
+    html,
+    config: { lazyResolution: true, textNodeSites: ['https://example.com'] },
+    stub: { names: Object.fromEntries(rows.map((address, i) => [address, `payer${i}.wei`])) },
+    globals: { IntersectionObserver: viewport.IntersectionObserver },
+  });
+  const wrapped = () => window.document.querySelectorAll('[data-wns-text]').length;
+
+  await waitFor(() => resolved(window).length === 10);
+  assert.equal(wrapped(), 10);
+  assert.equal(window.document.getElementById('t9').textContent, 'Paid by payer9.wei');
+  assert.equal(window.document.getElementById('t10').innerHTML, `Paid by ${rows[10]}`);
+  assert.equal(stub.requests.flatMap(r => r.calls).length, 10);
+
+  viewport.scroll(element => row(element) < 30);
+  await waitFor(() => resolved(window).length === 30);
+  assert.equal(wrapped(), 30);
+  assert.equal(window.document.getElementById('t99').innerHTML, `Paid by ${rows[99]}`);
+  await new Promise(r => setTimeout(r, 50));
+});
+
+test('RPC failures leave the page untouched and flag the badge', async (t) => {
+  const { browser, window } = await setup(t, {
+    fixture: 'test.html',
+    stub: { respond: () => ({ status: 429, body: 'error code: 1015' }) },
+  });
+  await waitFor(() => browser.badge.text === '!');
+  assert.equal(resolved(window).length, 0);
+});